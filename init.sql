@@ -1,3 +1,10 @@
+-- Bootstrap schema from the first version of the app. It is not kept up to date:
+-- after loading it, apply every file in migrations/ in numeric order (001, 002, ...).
+-- The migrations also expect tables and columns that predate them and are missing
+-- here (tables, breakfasts, ingredients, notifications, orders.table_id, session_id,
+-- notes, approved, ...), so build new databases from a dump of the current schema
+-- and use the migrations to bring older ones forward.
+
 CREATE DATABASE coffee_ordering;
 
 USE coffee_ordering;
@@ -26,7 +26,9 @@ const validate = (req, res, next) => {
 
   // Menu item validations
   if (req.method === 'POST' || req.method === 'PUT') {
-    if (req.path.includes('/menu-items') && !req.path.includes('/availability') && !req.path.includes('/supplements')) {
+    if (req.path.match(/^\/(menu-items|categories|breakfasts)\/\d+\/(archive|unarchive)$/)) {
+      // Archive toggles carry no body; the route parses the ID
+    } else if (req.path.includes('/menu-items') && !req.path.includes('/availability') && !req.path.includes('/supplements')) {
       validations.push(
         body('user_id')
           .optional()
@@ -104,6 +106,23 @@ const validate = (req, res, next) => {
       // Keep approval lenient; main route will validate/parse the ID
     } else if (req.path.match(/^\/orders\/\d+\/cancel$/) && req.method === 'POST') {
       // Keep cancel lenient; route handles ID and optional restoreStock
+    } else if (req.path.match(/^\/orders\/\d+\/items(\/\d+(\/void)?)?$/)) {
+      // Line edits and voids are validated by the route; added lines use the same pricing rules as order creation
+    } else if (req.path.match(/^\/orders\/\d+\/stations\/\d+\/done$/) && req.method === 'POST') {
+      // Station completion has no body; route parses both IDs
+    } else if (req.path.match(/^\/orders\/\d+\/transfer$/) && req.method === 'POST') {
+      // Transfer only takes the target table_id; route validates it
+    } else if (req.path.match(/^\/orders\/batch\/(approve|cancel)$/) && req.method === 'POST') {
+      // Batch endpoints parse and bound order_ids themselves
+    } else if (req.path === '/orders/quote' && req.method === 'POST') {
+      validations.push(
+        body('items').optional().isArray().withMessage('Items must be an array'),
+        body('breakfastItems').optional().isArray().withMessage('Breakfast items must be an array'),
+        body('promotion_id')
+          .optional()
+          .isInt({ min: 1 })
+          .withMessage('Valid promotion ID is required')
+      );
     } else if (req.path.includes('/orders') && req.method === 'POST') {
       validations.push(
         body('items').optional().isArray().withMessage('Items must be an array'),
@@ -164,8 +183,33 @@ const validate = (req, res, next) => {
           .optional()
           .isInt({ min: 1 })
           .withMessage('Valid promotion ID is required'),
+        body('customer_name')
+          .if(body('order_type').equals('takeaway'))
+          .notEmpty()
+          .isString()
+          .trim()
+          .withMessage('Customer name is required for takeaway orders'),
+        body('customer_phone')
+          .if(body('order_type').equals('takeaway'))
+          .notEmpty()
+          .isString()
+          .trim()
+          .withMessage('Customer phone is required for takeaway orders'),
+        body('scheduled_for')
+          .optional({ nullable: true })
+          .isISO8601()
+          .withMessage('scheduled_for must be a valid ISO8601 date'),
+        body('table_token')
+          .if(body('order_type').equals('local'))
+          .if(body('source').not().equals('staff-console'))
+          .notEmpty()
+          .isString()
+          .trim()
+          .withMessage('Table QR token is required for local orders'),
         body('table_id')
           .if(body('order_type').equals('local'))
+          .if(body('source').equals('staff-console'))
+          .if(body('table_token').not().exists())
           .notEmpty()
           .isInt({ min: 1 })
           .withMessage('Table ID is required for local orders'),
@@ -315,7 +359,13 @@ const validate = (req, res, next) => {
         );
       }
     } else if (req.path.includes('/tables')) {
-      if (req.path.includes('/tables/bulk')) {
+      if (req.path.match(/^\/tables\/\d+\/close$/)) {
+        // Close-table flow has no body fields beyond an optional force flag; route validates the ID
+      } else if (req.path.match(/^\/tables\/\d+\/qr-token\/(regenerate|revoke)$/) && req.method === 'POST') {
+        // Token rotation and revocation take no body; route validates the ID
+      } else if (req.path.match(/^\/tables\/\d+\/(transfer|merge|split)$/) && req.method === 'POST') {
+        // Moving and merging tables only takes a target table_id; the route validates both IDs
+      } else if (req.path.includes('/tables/bulk')) {
         validations.push(
           body('user_id')
             .optional()
@@ -0,0 +1,7 @@
+-- Kitchen status lifecycle: timestamps for every status change
+
+ALTER TABLE orders
+  MODIFY status ENUM('pending', 'received', 'preparing', 'ready', 'delivered', 'cancelled') DEFAULT 'pending',
+  ADD COLUMN status_updated_at TIMESTAMP NULL DEFAULT NULL,
+  ADD COLUMN ready_at TIMESTAMP NULL DEFAULT NULL,
+  ADD COLUMN delivered_at TIMESTAMP NULL DEFAULT NULL;
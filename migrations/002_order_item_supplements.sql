@@ -0,0 +1,15 @@
+-- Every supplement selected on an order line (order_items.supplement_id only holds the first one)
+
+CREATE TABLE order_item_supplements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_item_id INT NOT NULL,
+  supplement_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_order_item_supplement (order_item_id, supplement_id),
+  INDEX idx_supplement_id (supplement_id)
+);
+
+-- Backfill existing lines from the single-supplement column
+INSERT INTO order_item_supplements (order_item_id, supplement_id)
+SELECT id, supplement_id FROM order_items WHERE supplement_id IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Table sessions (open tabs): every order from one visit to a table
+
+CREATE TABLE table_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  table_id INT NOT NULL,
+  status ENUM('open', 'settled') NOT NULL DEFAULT 'open',
+  total_amount DECIMAL(10, 2) DEFAULT NULL,
+  opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP NULL DEFAULT NULL,
+  closed_by INT NULL,
+  FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE,
+  FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_table_status (table_id, status)
+);
+
+ALTER TABLE orders
+  ADD COLUMN table_session_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_orders_table_session FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL,
+  ADD INDEX idx_table_session_id (table_session_id);
@@ -0,0 +1,40 @@
+-- Payments against an order or a table tab, with per-order allocations and optional line items
+
+CREATE TABLE payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NULL,
+  table_session_id INT NULL,
+  tender ENUM('cash', 'card', 'other') NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  amount_tendered DECIMAL(10, 2) NULL,
+  change_given DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  received_by INT NULL,
+  note VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+  FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL,
+  FOREIGN KEY (received_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_created_at (created_at),
+  INDEX idx_tender (tender)
+);
+
+-- How much of each payment settles each order (a tab payment spreads over several orders)
+CREATE TABLE payment_allocations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  order_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  INDEX idx_order_id (order_id)
+);
+
+-- Order lines covered by a split-by-items payment
+CREATE TABLE payment_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_order_item (order_item_id)
+);
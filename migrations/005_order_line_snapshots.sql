@@ -0,0 +1,75 @@
+-- Snapshot what was sold on each order line so menu edits and deletions never rewrite history
+
+ALTER TABLE order_items
+  ADD COLUMN line_type ENUM('menu', 'breakfast') NOT NULL DEFAULT 'menu' AFTER order_id,
+  ADD COLUMN item_name VARCHAR(255) NULL DEFAULT NULL,
+  ADD COLUMN category_id INT NULL DEFAULT NULL,
+  ADD COLUMN category_name VARCHAR(255) NULL DEFAULT NULL,
+  ADD COLUMN base_price DECIMAL(10, 2) NULL DEFAULT NULL,
+  ADD INDEX idx_order_items_category_id (category_id);
+
+ALTER TABLE order_item_supplements
+  ADD COLUMN supplement_name VARCHAR(255) NULL DEFAULT NULL,
+  ADD COLUMN additional_price DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+
+ALTER TABLE breakfast_order_options
+  ADD COLUMN option_name VARCHAR(255) NULL DEFAULT NULL,
+  ADD COLUMN additional_price DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+
+-- Backfill from the live catalogue (best effort: lines already cascaded away cannot be recovered)
+UPDATE order_items oi
+LEFT JOIN menu_items mi ON oi.item_id = mi.id
+LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+LEFT JOIN categories c ON c.id = COALESCE(mi.category_id, b.category_id)
+SET oi.line_type = IF(oi.breakfast_id IS NOT NULL, 'breakfast', 'menu'),
+    oi.item_name = COALESCE(mi.name, b.name),
+    oi.category_id = COALESCE(mi.category_id, b.category_id),
+    oi.category_name = c.name,
+    oi.base_price = COALESCE(mi.sale_price, mi.regular_price, b.price);
+
+UPDATE order_item_supplements ois
+JOIN order_items oi ON ois.order_item_id = oi.id
+LEFT JOIN menu_item_supplements mis ON mis.menu_item_id = oi.item_id AND mis.supplement_id = ois.supplement_id
+SET ois.supplement_name = mis.name,
+    ois.additional_price = COALESCE(mis.additional_price, 0);
+
+UPDATE breakfast_order_options boo
+LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
+SET boo.option_name = bo.option_name,
+    boo.additional_price = COALESCE(bo.additional_price, 0);
+
+-- Catalogue deletions detach order lines instead of cascading through them.
+-- Constraint names were generated by MySQL, so look them up before dropping.
+SET @fk := (SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'order_items'
+              AND COLUMN_NAME = 'item_id' AND REFERENCED_TABLE_NAME = 'menu_items' LIMIT 1);
+SET @sql := IF(@fk IS NULL, 'DO 0', CONCAT('ALTER TABLE order_items DROP FOREIGN KEY `', @fk, '`'));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @fk := (SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'order_items'
+              AND COLUMN_NAME = 'breakfast_id' AND REFERENCED_TABLE_NAME = 'breakfasts' LIMIT 1);
+SET @sql := IF(@fk IS NULL, 'DO 0', CONCAT('ALTER TABLE order_items DROP FOREIGN KEY `', @fk, '`'));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @fk := (SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'breakfast_order_options'
+              AND COLUMN_NAME = 'breakfast_option_id' AND REFERENCED_TABLE_NAME = 'breakfast_options' LIMIT 1);
+SET @sql := IF(@fk IS NULL, 'DO 0', CONCAT('ALTER TABLE breakfast_order_options DROP FOREIGN KEY `', @fk, '`'));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+ALTER TABLE order_items
+  MODIFY item_id INT NULL DEFAULT NULL,
+  MODIFY breakfast_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_order_items_menu_item FOREIGN KEY (item_id) REFERENCES menu_items(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_order_items_breakfast FOREIGN KEY (breakfast_id) REFERENCES breakfasts(id) ON DELETE SET NULL;
+
+ALTER TABLE breakfast_order_options
+  MODIFY breakfast_option_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_breakfast_order_options_option FOREIGN KEY (breakfast_option_id) REFERENCES breakfast_options(id) ON DELETE SET NULL;
@@ -0,0 +1,13 @@
+-- Soft archive for catalogue entities: archived rows are hidden from the public menu but stay resolvable
+
+ALTER TABLE menu_items
+  ADD COLUMN archived_at TIMESTAMP NULL DEFAULT NULL,
+  ADD INDEX idx_menu_items_archived_at (archived_at);
+
+ALTER TABLE breakfasts
+  ADD COLUMN archived_at TIMESTAMP NULL DEFAULT NULL,
+  ADD INDEX idx_breakfasts_archived_at (archived_at);
+
+ALTER TABLE categories
+  ADD COLUMN archived_at TIMESTAMP NULL DEFAULT NULL,
+  ADD INDEX idx_categories_archived_at (archived_at);
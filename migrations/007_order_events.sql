@@ -0,0 +1,22 @@
+-- Append-only audit trail of everything that happens to an order
+
+CREATE TABLE order_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  event_type VARCHAR(40) NOT NULL,
+  from_status VARCHAR(20) NULL DEFAULT NULL,
+  to_status VARCHAR(20) NULL DEFAULT NULL,
+  actor_id INT NULL DEFAULT NULL,
+  session_id VARCHAR(255) NULL DEFAULT NULL,
+  reason VARCHAR(255) NULL DEFAULT NULL,
+  details JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_order_events_order (order_id, created_at),
+  INDEX idx_order_events_type (event_type)
+);
+
+-- Seed a creation event for existing orders so every trail starts somewhere
+INSERT INTO order_events (order_id, event_type, to_status, session_id, created_at)
+SELECT id, 'created', status, session_id, created_at FROM orders;
@@ -0,0 +1,9 @@
+-- Support filtering and keyset pagination on GET /orders
+
+ALTER TABLE orders
+  ADD INDEX idx_orders_created_at (created_at, id),
+  ADD INDEX idx_orders_total_price (total_price, id),
+  ADD INDEX idx_orders_promotion_id (promotion_id);
+
+ALTER TABLE order_items
+  ADD INDEX idx_order_items_item_name (item_name);
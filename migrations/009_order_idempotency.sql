@@ -0,0 +1,6 @@
+-- Client idempotency keys for POST /orders: a retried submission returns the original order
+
+ALTER TABLE orders
+  ADD COLUMN request_id VARCHAR(64) NULL DEFAULT NULL,
+  ADD COLUMN request_hash CHAR(64) NULL DEFAULT NULL,
+  ADD UNIQUE INDEX uniq_orders_request_id (request_id);
@@ -0,0 +1,22 @@
+-- Voided quantities of individual order lines; the line keeps what is still billable
+
+CREATE TABLE order_item_voids (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  order_item_id INT NULL,
+  item_name VARCHAR(255) NULL DEFAULT NULL,
+  quantity INT NOT NULL,
+  unit_price DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  stock_restored TINYINT(1) NOT NULL DEFAULT 0,
+  refund_payment_id INT NULL,
+  voided_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE SET NULL,
+  FOREIGN KEY (refund_payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+  FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_order_item_voids_order (order_id),
+  INDEX idx_order_item_voids_created_at (created_at)
+);
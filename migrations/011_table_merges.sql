@@ -0,0 +1,10 @@
+-- Merged tables share the host table's tab until they are split again
+
+ALTER TABLE tables
+  ADD COLUMN merged_into_table_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_tables_merged_into FOREIGN KEY (merged_into_table_id) REFERENCES tables(id) ON DELETE SET NULL;
+
+ALTER TABLE table_sessions
+  MODIFY COLUMN status ENUM('open', 'settled', 'merged') NOT NULL DEFAULT 'open',
+  ADD COLUMN merged_into_session_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_table_sessions_merged_into FOREIGN KEY (merged_into_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL;
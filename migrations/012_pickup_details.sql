@@ -0,0 +1,22 @@
+-- Customer contact, scheduled pickup time and pickup code for takeaway and imported orders
+
+ALTER TABLE orders
+  ADD COLUMN customer_name VARCHAR(100) NULL DEFAULT NULL,
+  ADD COLUMN customer_phone VARCHAR(30) NULL DEFAULT NULL,
+  ADD COLUMN scheduled_for DATETIME NULL DEFAULT NULL,
+  ADD COLUMN pickup_code VARCHAR(8) NULL DEFAULT NULL,
+  ADD INDEX idx_orders_scheduled_for (scheduled_for),
+  ADD INDEX idx_orders_pickup_code (pickup_code);
+
+-- Weekly opening hours; several rows per day allow split shifts. A close_time at or
+-- before open_time runs past midnight. No rows means no restriction.
+CREATE TABLE opening_hours (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  day_of_week TINYINT NOT NULL,
+  open_time TIME NOT NULL,
+  close_time TIME NOT NULL,
+  updated_by INT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_opening_hours_day (day_of_week)
+);
@@ -0,0 +1,24 @@
+-- Admin-managed delivery zones (postal codes or a distance band) with fee, minimum and ETA
+
+CREATE TABLE delivery_zones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  zone_type ENUM('postal_code', 'distance') NOT NULL,
+  postal_codes TEXT NULL,
+  min_distance_km DECIMAL(6, 2) NULL DEFAULT NULL,
+  max_distance_km DECIMAL(6, 2) NULL DEFAULT NULL,
+  delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  minimum_order_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  eta_minutes INT NULL DEFAULT NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- orders.total_price includes delivery_fee
+ALTER TABLE orders
+  ADD COLUMN delivery_zone_id INT NULL DEFAULT NULL,
+  ADD COLUMN delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  ADD COLUMN delivery_postal_code VARCHAR(20) NULL DEFAULT NULL,
+  ADD COLUMN delivery_distance_km DECIMAL(6, 2) NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_orders_delivery_zone FOREIGN KEY (delivery_zone_id) REFERENCES delivery_zones(id) ON DELETE SET NULL;
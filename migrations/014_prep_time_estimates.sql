@@ -0,0 +1,14 @@
+-- Prep-time estimates per product and the ready time promised for each order
+
+ALTER TABLE menu_items
+  ADD COLUMN prep_time_minutes INT NULL DEFAULT NULL;
+
+ALTER TABLE breakfasts
+  ADD COLUMN prep_time_minutes INT NULL DEFAULT NULL;
+
+-- estimated_ready_at follows the kitchen queue; quoted_ready_at is the first estimate
+-- given once the order reached the kitchen and is what accuracy is measured against
+ALTER TABLE orders
+  ADD COLUMN estimated_ready_at DATETIME NULL DEFAULT NULL,
+  ADD COLUMN quoted_ready_at DATETIME NULL DEFAULT NULL,
+  ADD INDEX idx_orders_ready_at (ready_at);
@@ -0,0 +1,43 @@
+-- Preparation stations (bar, kitchen, pastry...) and the per-station tickets of approved orders
+
+CREATE TABLE preparation_stations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_preparation_stations_name (name)
+);
+
+-- A product's own station wins over its category's
+ALTER TABLE categories
+  ADD COLUMN station_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_categories_station FOREIGN KEY (station_id) REFERENCES preparation_stations(id) ON DELETE SET NULL;
+
+ALTER TABLE menu_items
+  ADD COLUMN station_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_menu_items_station FOREIGN KEY (station_id) REFERENCES preparation_stations(id) ON DELETE SET NULL;
+
+ALTER TABLE breakfasts
+  ADD COLUMN station_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_breakfasts_station FOREIGN KEY (station_id) REFERENCES preparation_stations(id) ON DELETE SET NULL;
+
+-- Station a line was routed to when its order was approved
+ALTER TABLE order_items
+  ADD COLUMN station_id INT NULL DEFAULT NULL,
+  ADD CONSTRAINT fk_order_items_station FOREIGN KEY (station_id) REFERENCES preparation_stations(id) ON DELETE SET NULL;
+
+CREATE TABLE order_station_tickets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  station_id INT NOT NULL,
+  status ENUM('pending', 'done') NOT NULL DEFAULT 'pending',
+  completed_at DATETIME NULL DEFAULT NULL,
+  completed_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_order_station_tickets (order_id, station_id),
+  INDEX idx_order_station_tickets_station (station_id, status),
+  CONSTRAINT fk_order_station_tickets_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_station_tickets_station FOREIGN KEY (station_id) REFERENCES preparation_stations(id) ON DELETE CASCADE,
+  CONSTRAINT fk_order_station_tickets_user FOREIGN KEY (completed_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,7 @@
+-- Signed table QR tokens. A token embeds the table id and qr_token_version, so bumping
+-- the version invalidates every printed code for the table; revoking blocks the table
+-- until a new token is generated.
+ALTER TABLE tables
+  ADD COLUMN qr_token_version INT NOT NULL DEFAULT 1,
+  ADD COLUMN qr_token_rotated_at DATETIME NULL DEFAULT NULL,
+  ADD COLUMN qr_token_revoked_at DATETIME NULL DEFAULT NULL;
@@ -0,0 +1,28 @@
+-- Guest requests from a table (call a waiter, the bill, water) and who handled them
+
+-- Notifications now also carry table requests
+ALTER TABLE notifications
+  MODIFY COLUMN type VARCHAR(40) NOT NULL;
+
+CREATE TABLE table_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  table_id INT NOT NULL,
+  table_session_id INT NULL DEFAULT NULL,
+  session_id VARCHAR(255) NOT NULL,
+  request_type ENUM('call_waiter', 'bill', 'water') NOT NULL,
+  note VARCHAR(255) NULL DEFAULT NULL,
+  status ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open',
+  notification_id INT NULL DEFAULT NULL,
+  acknowledged_by INT NULL DEFAULT NULL,
+  acknowledged_at DATETIME NULL DEFAULT NULL,
+  staff_name VARCHAR(50) NULL DEFAULT NULL,
+  resolved_by INT NULL DEFAULT NULL,
+  resolved_at DATETIME NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_table_requests_status (status, created_at),
+  INDEX idx_table_requests_session (session_id, created_at),
+  FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE,
+  FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL,
+  FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,6 @@
+-- Idempotency keys are unique per guest session rather than across all orders,
+-- so one guest's key can neither collide with nor replay another guest's order
+
+ALTER TABLE orders
+  DROP INDEX uniq_orders_request_id,
+  ADD UNIQUE INDEX uniq_orders_session_request_id (session_id, request_id);
@@ -175,19 +175,22 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
     let topItemsWhereClause = orderTimeFilter.conditions.length > 0 ? `WHERE ${orderTimeFilter.conditions.join(' AND ')}` : '';
     let topItemsParams = [...orderTimeFilter.params];
     if (category_id) {
-      topItemsWhereClause = topItemsWhereClause ? `${topItemsWhereClause} AND mi.category_id = ?` : `WHERE mi.category_id = ?`;
+      topItemsWhereClause = topItemsWhereClause ? `${topItemsWhereClause} AND oi.category_id = ?` : `WHERE oi.category_id = ?`;
       topItemsParams.push(category_id);
     }
-    logger.debug('Querying top selling items:', { query: `SELECT mi.id, mi.name, SUM(oi.quantity) as total_quantity, SUM(oi.quantity * oi.unit_price) as total_revenue FROM order_items oi JOIN menu_items mi ON oi.item_id = mi.id JOIN orders o ON oi.order_id = o.id ${topItemsWhereClause} GROUP BY oi.item_id ORDER BY total_quantity DESC LIMIT 5`, params: topItemsParams });
-    const [topSellingItems] = await db.query(
-      `SELECT mi.id, mi.name, SUM(oi.quantity) as total_quantity, SUM(oi.quantity * oi.unit_price) as total_revenue
+    // Read from the order line snapshots so renamed or deleted items keep their history
+    topItemsWhereClause = topItemsWhereClause ? `${topItemsWhereClause} AND oi.line_type = 'menu'` : `WHERE oi.line_type = 'menu'`;
+    const topItemsQuery = `SELECT oi.item_id AS id, SUBSTRING_INDEX(GROUP_CONCAT(oi.item_name ORDER BY oi.id DESC SEPARATOR '\\n'), '\\n', 1) AS name,
+              SUM(oi.quantity) as total_quantity, SUM(oi.quantity * oi.unit_price) as total_revenue
        FROM order_items oi
-       JOIN menu_items mi ON oi.item_id = mi.id
        JOIN orders o ON oi.order_id = o.id
        ${topItemsWhereClause}
-       GROUP BY oi.item_id
+       GROUP BY oi.item_id, CASE WHEN oi.item_id IS NULL THEN oi.item_name END
        ORDER BY total_quantity DESC
-       LIMIT 5`,
+       LIMIT 5`;
+    logger.debug('Querying top selling items:', { query: topItemsQuery, params: topItemsParams });
+    const [topSellingItems] = await db.query(
+      topItemsQuery,
       topItemsParams
     );
     const sanitizedTopSellingItems = topSellingItems.map(item => ({
@@ -271,19 +274,20 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
     let categorySalesWhereClause = orderTimeFilter.conditions.length > 0 ? `WHERE ${orderTimeFilter.conditions.join(' AND ')}` : '';
     let categorySalesParams = [...orderTimeFilter.params];
     if (category_id) {
-      categorySalesWhereClause = categorySalesWhereClause ? `${categorySalesWhereClause} AND mi.category_id = ?` : `WHERE mi.category_id = ?`;
+      categorySalesWhereClause = categorySalesWhereClause ? `${categorySalesWhereClause} AND oi.category_id = ?` : `WHERE oi.category_id = ?`;
       categorySalesParams.push(category_id);
     }
-    logger.debug('Querying category sales:', { query: `SELECT c.id, c.name, SUM(oi.quantity * oi.unit_price) as total_revenue FROM order_items oi JOIN menu_items mi ON oi.item_id = mi.id JOIN categories c ON mi.category_id = c.id JOIN orders o ON oi.order_id = o.id ${categorySalesWhereClause} GROUP BY c.id ORDER BY total_revenue DESC`, params: categorySalesParams });
-    const [categorySales] = await db.query(
-      `SELECT c.id, c.name, SUM(oi.quantity * oi.unit_price) as total_revenue
+    categorySalesWhereClause = categorySalesWhereClause ? `${categorySalesWhereClause} AND oi.category_id IS NOT NULL` : `WHERE oi.category_id IS NOT NULL`;
+    const categorySalesQuery = `SELECT oi.category_id AS id, SUBSTRING_INDEX(GROUP_CONCAT(oi.category_name ORDER BY oi.id DESC SEPARATOR '\\n'), '\\n', 1) AS name,
+              SUM(oi.quantity * oi.unit_price) as total_revenue
        FROM order_items oi
-       JOIN menu_items mi ON oi.item_id = mi.id
-       JOIN categories c ON mi.category_id = c.id
        JOIN orders o ON oi.order_id = o.id
        ${categorySalesWhereClause}
-       GROUP BY c.id
-       ORDER BY total_revenue DESC`,
+       GROUP BY oi.category_id
+       ORDER BY total_revenue DESC`;
+    logger.debug('Querying category sales:', { query: categorySalesQuery, params: categorySalesParams });
+    const [categorySales] = await db.query(
+      categorySalesQuery,
       categorySalesParams
     );
     const sanitizedCategorySales = categorySales.map(item => ({
@@ -310,9 +314,9 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
     // Promotion Impact
     let promotionWhereClause = orderWhereClause ? `${orderWhereClause} AND o.promotion_id IS NOT NULL` : `WHERE o.promotion_id IS NOT NULL`;
     let promotionParams = [...orderParams];
-    logger.debug('Querying promotion impact:', { query: `SELECT p.id, p.name, COUNT(o.id) as order_count, SUM(p.discount_percentage * o.total_price / 100) as total_discount FROM orders o JOIN promotions p ON o.promotion_id = p.id ${promotionWhereClause} GROUP BY p.id ORDER BY order_count DESC`, params: promotionParams });
+    logger.debug('Querying promotion impact:', { query: `SELECT p.id, p.name, COUNT(o.id) as order_count, SUM(p.discount_percentage * (o.total_price - o.delivery_fee) / 100) as total_discount FROM orders o JOIN promotions p ON o.promotion_id = p.id ${promotionWhereClause} GROUP BY p.id ORDER BY order_count DESC`, params: promotionParams });
     const [promotionImpact] = await db.query(
-      `SELECT p.id, p.name, COUNT(o.id) as order_count, SUM(p.discount_percentage * o.total_price / 100) as total_discount
+      `SELECT p.id, p.name, COUNT(o.id) as order_count, SUM(p.discount_percentage * (o.total_price - o.delivery_fee) / 100) as total_discount
        FROM orders o
        JOIN promotions p ON o.promotion_id = p.id
        ${promotionWhereClause}
@@ -325,6 +329,67 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
       total_discount: parseFloat(item.total_discount || 0).toFixed(2),
     }));
 
+    // Voided lines, kept apart from revenue (order totals are already net of voids)
+    const voidTimeFilter = buildTimeFilter(start_date, end_date, start_hour, end_hour, 'v');
+    const voidConditions = [...voidTimeFilter.conditions, 'o.approved = 1'];
+    const voidParams = [...voidTimeFilter.params];
+    if (order_type) {
+      voidConditions.push('o.order_type = ?');
+      voidParams.push(order_type);
+    }
+    const voidWhereClause = `WHERE ${voidConditions.join(' AND ')}`;
+    const voidsQuery = `SELECT v.reason, COUNT(*) as void_count, SUM(v.quantity) as total_quantity, SUM(v.amount) as total_amount
+       FROM order_item_voids v
+       JOIN orders o ON v.order_id = o.id
+       ${voidWhereClause}
+       GROUP BY v.reason
+       ORDER BY total_amount DESC`;
+    logger.debug('Querying voided lines:', { query: voidsQuery, params: voidParams });
+    const [voidsByReason] = await db.query(voidsQuery, voidParams);
+    const sanitizedVoidsByReason = voidsByReason.map(item => ({
+      reason: item.reason,
+      void_count: parseInt(item.void_count || 0),
+      total_quantity: parseInt(item.total_quantity || 0),
+      total_amount: parseFloat(item.total_amount || 0).toFixed(2),
+    }));
+    const voidedAmount = voidsByReason.reduce((sum, item) => sum + parseFloat(item.total_amount || 0), 0).toFixed(2);
+
+    // Delivery fees, reported apart from food revenue (totalRevenue includes them)
+    const deliveryWhereClause = `${revenueWhereClause} AND o.order_type = 'delivery'`;
+    const deliveryQuery = `SELECT o.delivery_zone_id AS zone_id, dz.name AS zone_name, COUNT(*) as order_count,
+              SUM(o.delivery_fee) as delivery_fees, SUM(o.total_price - o.delivery_fee) as items_revenue
+       FROM orders o
+       LEFT JOIN delivery_zones dz ON o.delivery_zone_id = dz.id
+       ${deliveryWhereClause}
+       GROUP BY o.delivery_zone_id, dz.name
+       ORDER BY delivery_fees DESC`;
+    logger.debug('Querying delivery revenue:', { query: deliveryQuery, params: revenueParams });
+    const [deliveryByZone] = await db.query(deliveryQuery, revenueParams);
+    const deliveryFees = deliveryByZone.reduce((sum, zone) => sum + parseFloat(zone.delivery_fees || 0), 0);
+    const deliveryItemsRevenue = deliveryByZone.reduce((sum, zone) => sum + parseFloat(zone.items_revenue || 0), 0);
+
+    // Quoted ETA against the actual ready time; positive lateness means the order was late
+    const etaConditions = [...orderTimeFilter.conditions, 'o.quoted_ready_at IS NOT NULL', 'o.ready_at IS NOT NULL'];
+    const etaParams = [...orderTimeFilter.params];
+    if (order_type) {
+      etaConditions.push('o.order_type = ?');
+      etaParams.push(order_type);
+    }
+    const etaQuery = `SELECT DATE(o.created_at) as date, COUNT(*) as order_count,
+              AVG(ABS(TIMESTAMPDIFF(SECOND, o.quoted_ready_at, o.ready_at))) / 60 as mean_abs_error,
+              AVG(TIMESTAMPDIFF(SECOND, o.quoted_ready_at, o.ready_at)) / 60 as mean_lateness,
+              SUM(ABS(TIMESTAMPDIFF(SECOND, o.quoted_ready_at, o.ready_at)) <= 300) as within_five
+       FROM orders o
+       WHERE ${etaConditions.join(' AND ')}
+       GROUP BY DATE(o.created_at)
+       ORDER BY date`;
+    logger.debug('Querying ETA accuracy:', { query: etaQuery, params: etaParams });
+    const [etaByDay] = await db.query(etaQuery, etaParams);
+    const etaOrders = etaByDay.reduce((sum, day) => sum + day.order_count, 0);
+    const weightedEta = (field) => (etaOrders > 0
+      ? (etaByDay.reduce((sum, day) => sum + parseFloat(day[field] || 0) * day.order_count, 0) / etaOrders).toFixed(1)
+      : null);
+
     const analytics = {
       totalOrders: {
         count: totalOrdersCount,
@@ -345,6 +410,38 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
       categorySales: sanitizedCategorySales,
       recentOrders: sanitizedRecentOrders,
       promotionImpact: sanitizedPromotionImpact,
+      deliveryRevenue: {
+        fees: deliveryFees.toFixed(2),
+        itemsRevenue: deliveryItemsRevenue.toFixed(2),
+        orders: deliveryByZone.reduce((sum, zone) => sum + zone.order_count, 0),
+        byZone: deliveryByZone.map(zone => ({
+          zone_id: zone.zone_id,
+          name: zone.zone_name,
+          order_count: zone.order_count,
+          delivery_fees: parseFloat(zone.delivery_fees || 0).toFixed(2),
+          items_revenue: parseFloat(zone.items_revenue || 0).toFixed(2),
+        })),
+      },
+      etaAccuracy: {
+        orders: etaOrders,
+        meanAbsoluteErrorMinutes: weightedEta('mean_abs_error'),
+        meanLatenessMinutes: weightedEta('mean_lateness'),
+        withinFiveMinutes: etaOrders > 0
+          ? ((etaByDay.reduce((sum, day) => sum + parseInt(day.within_five || 0), 0) / etaOrders) * 100).toFixed(1)
+          : null,
+        byDay: etaByDay.map(day => ({
+          date: day.date,
+          order_count: day.order_count,
+          mean_abs_error_minutes: parseFloat(day.mean_abs_error || 0).toFixed(1),
+          mean_lateness_minutes: parseFloat(day.mean_lateness || 0).toFixed(1),
+          within_five_minutes: parseInt(day.within_five || 0),
+        })),
+      },
+      voids: {
+        amount: voidedAmount,
+        count: sanitizedVoidsByReason.reduce((sum, item) => sum + item.void_count, 0),
+        byReason: sanitizedVoidsByReason,
+      },
     };
 
     logger.info('Analytics fetched successfully', { filters: req.query });
@@ -7,6 +7,8 @@ const multer = require('multer');
 const { v2: cloudinary } = require('cloudinary');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const breakfastValidation = require('../middleware/breakfastValidation');
+const { fetchHistory, setArchived } = require('../utils/archive');
+const { parsePrepMinutes } = require('../utils/orderEta');
 
 // Configure Cloudinary storage for multer
 const storage = new CloudinaryStorage({
@@ -104,12 +106,17 @@ router.get('/breakfast-options', checkAdmin, async (req, res) => {
 
 // Create breakfast
 router.post('/breakfasts', checkAdmin, breakfastValidation, upload, logFormData, async (req, res) => {
-  const { name, description, price, availability, category_id, option_groups, reusable_option_groups } = req.body;
+  const { name, description, price, availability, category_id, option_groups, reusable_option_groups, prep_time_minutes } = req.body;
   const image = req.file;
   logger.info('Parsed breakfast creation request', {
     body: { name, description, price, availability, category_id, option_groups, reusable_option_groups },
     file: image ? { public_id: image.public_id, url: image.path } : null,
   });
+  const prepTime = parsePrepMinutes(prep_time_minutes);
+  if (prepTime.error) {
+    logger.warn('Invalid prep time', { prep_time_minutes });
+    return res.status(400).json({ error: prepTime.error });
+  }
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -120,8 +127,8 @@ router.post('/breakfasts', checkAdmin, breakfastValidation, upload, logFormData,
     const image_url = image ? image.path : null; // Cloudinary URL
 
     const [result] = await connection.query(
-      'INSERT INTO breakfasts (name, description, price, image_url, availability, category_id) VALUES (?, ?, ?, ?, ?, ?)',
-      [finalName, description || null, finalPrice, image_url, parsedAvailability, parsedCategoryId]
+      'INSERT INTO breakfasts (name, description, price, image_url, availability, category_id, prep_time_minutes) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [finalName, description || null, finalPrice, image_url, parsedAvailability, parsedCategoryId, prepTime.skip ? null : prepTime.value]
     );
     const breakfastId = result.insertId;
 
@@ -175,7 +182,7 @@ router.post('/breakfasts', checkAdmin, breakfastValidation, upload, logFormData,
 
 // Update breakfast
 router.put('/breakfasts/:id', checkAdmin, breakfastValidation, upload, logFormData, async (req, res) => {
-  const { name, description, price, availability, category_id, option_groups, reusable_option_groups } = req.body;
+  const { name, description, price, availability, category_id, option_groups, reusable_option_groups, prep_time_minutes } = req.body;
   const image = req.file;
   const { id } = req.params;
   logger.info('Parsed breakfast update request', {
@@ -183,6 +190,11 @@ router.put('/breakfasts/:id', checkAdmin, breakfastValidation, upload, logFormDa
     body: { name, description, price, availability, category_id, option_groups, reusable_option_groups },
     file: image ? { public_id: image.public_id, url: image.path } : null,
   });
+  const prepTime = parsePrepMinutes(prep_time_minutes);
+  if (prepTime.error) {
+    logger.warn('Invalid prep time', { prep_time_minutes });
+    return res.status(400).json({ error: prepTime.error });
+  }
   const connection = await db.getConnection();
   try {
     await connection.beginTransaction();
@@ -218,6 +230,10 @@ router.put('/breakfasts/:id', checkAdmin, breakfastValidation, upload, logFormDa
       query += ', image_url = ?';
       updateFields.push(image_url);
     }
+    if (!prepTime.skip) {
+      query += ', prep_time_minutes = ?';
+      updateFields.push(prepTime.value);
+    }
     updateFields.push(breakfastId);
     await connection.query(query + ' WHERE id = ?', updateFields);
     await connection.query('DELETE FROM breakfast_option_groups WHERE breakfast_id = ?', [breakfastId]);
@@ -287,6 +303,12 @@ router.delete('/breakfasts/:id', checkAdmin, breakfastValidation, async (req, re
       logger.warn('Breakfast not found', { id: breakfastId });
       return res.status(404).json({ error: 'Breakfast not found' });
     }
+    const history = await fetchHistory(connection, 'breakfast', breakfastId);
+    if (Object.keys(history).length > 0) {
+      await connection.rollback();
+      logger.warn('Refusing to delete breakfast with history', { id: breakfastId, history });
+      return res.status(409).json({ error: 'Breakfast has history; archive it instead', history });
+    }
     if (existing[0].image_url) {
       const publicId = existing[0].image_url.split('/').pop().split('.')[0];
       try {
@@ -322,6 +344,7 @@ router.get('/breakfasts', async (req, res) => {
        FROM breakfasts b
        LEFT JOIN categories c ON b.category_id = c.id
        LEFT JOIN breakfast_ratings r ON b.id = r.breakfast_id
+       WHERE b.archived_at IS NULL AND c.archived_at IS NULL
        GROUP BY b.id`
     );
     const sanitizedRows = rows.map(item => ({
@@ -392,7 +415,7 @@ router.get('/breakfasts/:id/related', async (req, res) => {
        FROM breakfasts b
        LEFT JOIN categories c ON b.category_id = c.id
        LEFT JOIN breakfast_ratings r ON b.id = r.breakfast_id
-       WHERE b.category_id = ? AND b.id != ?
+       WHERE b.category_id = ? AND b.id != ? AND b.archived_at IS NULL
        GROUP BY b.id
        LIMIT 2`,
       [breakfast[0].category_id, breakfastId]
@@ -404,7 +427,7 @@ router.get('/breakfasts/:id/related', async (req, res) => {
        FROM menu_items mi
        LEFT JOIN categories c ON mi.category_id = c.id
        LEFT JOIN ratings r ON mi.id = r.item_id
-       WHERE mi.category_id = ?
+       WHERE mi.category_id = ? AND mi.archived_at IS NULL
        GROUP BY mi.id
        LIMIT 2`,
       [breakfast[0].category_id]
@@ -432,6 +455,30 @@ router.get('/breakfasts/:id/related', async (req, res) => {
   }
 });
 
+// Archive or restore a breakfast; archived breakfasts stay resolvable from past orders
+const archiveBreakfast = (archived) => async (req, res) => {
+  try {
+    const breakfastId = parseInt(req.params.id);
+    if (isNaN(breakfastId) || breakfastId <= 0) {
+      logger.warn('Invalid breakfast ID', { id: req.params.id });
+      return res.status(400).json({ error: 'Valid breakfast ID is required' });
+    }
+    const row = await setArchived(db, 'breakfast', breakfastId, archived);
+    if (!row) {
+      logger.warn('Breakfast not found', { id: breakfastId });
+      return res.status(404).json({ error: 'Breakfast not found' });
+    }
+    logger.info(`Breakfast ${archived ? 'archived' : 'unarchived'}`, { id: breakfastId, userId: req.user.id });
+    res.json({ message: `Breakfast ${archived ? 'archived' : 'unarchived'}`, ...row });
+  } catch (error) {
+    logger.error(`Error ${archived ? 'archiving' : 'unarchiving'} breakfast`, { error: error.message, id: req.params.id });
+    res.status(500).json({ error: `Failed to ${archived ? 'archive' : 'unarchive'} breakfast`, details: error.message });
+  }
+};
+
+router.put('/breakfasts/:id/archive', checkAdmin, archiveBreakfast(true));
+router.put('/breakfasts/:id/unarchive', checkAdmin, archiveBreakfast(false));
+
 // Create option group
 router.post('/breakfasts/:id/option-groups', checkAdmin, breakfastValidation, async (req, res) => {
   const { title, is_required, max_selections } = req.body;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { fetchDeliveryZones, parseDeliveryZone } = require('../utils/deliveryZones');
+
+const checkAdmin = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && rows[0].role === 'admin';
+};
+
+const ZONE_COLUMNS = ['name', 'zone_type', 'postal_codes', 'min_distance_km', 'max_distance_km', 'delivery_fee', 'minimum_order_amount', 'eta_minutes', 'active'];
+
+// Active zones for guests; admins can ask for inactive ones too with ?all=1
+router.get('/delivery-zones', async (req, res) => {
+  try {
+    const includeInactive = req.query.all === '1' && req.user && await checkAdmin(req.user.id);
+    const zones = await fetchDeliveryZones(db, { activeOnly: !includeInactive });
+    res.json(zones);
+  } catch (error) {
+    logger.error('Error fetching delivery zones', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch delivery zones' });
+  }
+});
+
+router.post('/delivery-zones', async (req, res) => {
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to create delivery zone', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const parsed = parseDeliveryZone(req.body);
+    if (parsed.error) {
+      logger.warn('Invalid delivery zone', { error: parsed.error });
+      return res.status(400).json({ error: parsed.error });
+    }
+    const [result] = await db.query(
+      `INSERT INTO delivery_zones (${ZONE_COLUMNS.join(', ')}) VALUES (${ZONE_COLUMNS.map(() => '?').join(', ')})`,
+      ZONE_COLUMNS.map(column => parsed.zone[column])
+    );
+    logger.info('Delivery zone created', { id: result.insertId, name: parsed.zone.name, userId: req.user.id });
+    res.status(201).json({ message: 'Delivery zone created', id: result.insertId });
+  } catch (error) {
+    logger.error('Error creating delivery zone', { error: error.message });
+    res.status(500).json({ error: 'Failed to create delivery zone' });
+  }
+});
+
+router.put('/delivery-zones/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to update delivery zone', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const zoneId = parseInt(id);
+    if (isNaN(zoneId) || zoneId <= 0) {
+      logger.warn('Invalid delivery zone ID', { id });
+      return res.status(400).json({ error: 'Valid delivery zone ID is required' });
+    }
+    const parsed = parseDeliveryZone(req.body);
+    if (parsed.error) {
+      logger.warn('Invalid delivery zone', { id: zoneId, error: parsed.error });
+      return res.status(400).json({ error: parsed.error });
+    }
+    const [result] = await db.query(
+      `UPDATE delivery_zones SET ${ZONE_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...ZONE_COLUMNS.map(column => parsed.zone[column]), zoneId]
+    );
+    if (result.affectedRows === 0) {
+      logger.warn('Delivery zone not found', { id: zoneId });
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    logger.info('Delivery zone updated', { id: zoneId, userId: req.user.id });
+    res.json({ message: 'Delivery zone updated' });
+  } catch (error) {
+    logger.error('Error updating delivery zone', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to update delivery zone' });
+  }
+});
+
+// Past orders keep their fee; only the link to the zone is cleared
+router.delete('/delivery-zones/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to delete delivery zone', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const zoneId = parseInt(id);
+    if (isNaN(zoneId) || zoneId <= 0) {
+      logger.warn('Invalid delivery zone ID', { id });
+      return res.status(400).json({ error: 'Valid delivery zone ID is required' });
+    }
+    const [result] = await db.query('DELETE FROM delivery_zones WHERE id = ?', [zoneId]);
+    if (result.affectedRows === 0) {
+      logger.warn('Delivery zone not found', { id: zoneId });
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    logger.info('Delivery zone deleted', { id: zoneId, userId: req.user.id });
+    res.json({ message: 'Delivery zone deleted' });
+  } catch (error) {
+    logger.error('Error deleting delivery zone', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to delete delivery zone' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const { v2: cloudinary } = require('cloudinary');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { ARCHIVABLE, fetchHistory, setArchived } = require('../utils/archive');
+const { parsePrepMinutes } = require('../utils/orderEta');
 
 // Configure Cloudinary storage for multer
 const storage = new CloudinaryStorage({
@@ -170,8 +172,15 @@ router.delete('/categories/:id', async (req, res) => {
       logger.warn('Invalid category ID', { id });
       return res.status(400).json({ error: 'Valid category ID is required' });
     }
-    // Delete associated image from Cloudinary
     const [existing] = await db.query('SELECT image_url FROM categories WHERE id = ?', [categoryId]);
+    if (existing.length) {
+      const history = await fetchHistory(db, 'category', categoryId);
+      if (Object.keys(history).length > 0) {
+        logger.warn('Refusing to delete category with history', { id: categoryId, history });
+        return res.status(409).json({ error: 'Category has history; archive it instead', history });
+      }
+    }
+    // Delete associated image from Cloudinary
     if (existing.length && existing[0].image_url) {
       const publicId = existing[0].image_url.split('/').pop().split('.')[0];
       try {
@@ -197,7 +206,7 @@ router.delete('/categories/:id', async (req, res) => {
 // Fetch all categories
 router.get('/categories', async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT id, name, image_url, description, is_top FROM categories');
+    const [rows] = await db.query('SELECT id, name, image_url, description, is_top FROM categories WHERE archived_at IS NULL');
     res.json(rows);
   } catch (error) {
     logger.error('Error fetching categories', { error: error.message });
@@ -208,7 +217,7 @@ router.get('/categories', async (req, res) => {
 // Fetch top categories
 router.get('/categories/top', async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT id, name, image_url, description FROM categories WHERE is_top = 1');
+    const [rows] = await db.query('SELECT id, name, image_url, description FROM categories WHERE is_top = 1 AND archived_at IS NULL');
     logger.info('Top categories fetched', { count: rows.length });
     res.json(rows);
   } catch (error) {
@@ -220,7 +229,7 @@ router.get('/categories/top', async (req, res) => {
 // Fetch single category
 router.get('/categories/:id', async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT id, name, image_url, description, is_top FROM categories WHERE id = ?', [req.params.id]);
+    const [rows] = await db.query('SELECT id, name, image_url, description, is_top, archived_at FROM categories WHERE id = ?', [req.params.id]);
     if (rows.length === 0) {
       logger.warn('Category not found', { id: req.params.id });
       return res.status(404).json({ error: 'Category not found' });
@@ -242,7 +251,7 @@ router.get('/menu-items/best-sellers', async (req, res) => {
        FROM menu_items mi
        LEFT JOIN categories c ON mi.category_id = c.id
        LEFT JOIN ratings r ON mi.id = r.item_id
-       WHERE mi.is_best_seller = 1
+       WHERE mi.is_best_seller = 1 AND mi.archived_at IS NULL AND c.archived_at IS NULL
        GROUP BY mi.id`
     );
     const sanitizedRows = rows.map(item => ({
@@ -263,7 +272,7 @@ router.get('/menu-items/best-sellers', async (req, res) => {
 
 // Menu item creation
 router.post('/menu-items', requireAdmin, logFormData, upload, async (req, res) => {
-  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags, is_best_seller } = req.body;
+  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags, is_best_seller, prep_time_minutes } = req.body;
   const image = req.file;
   logger.info('Parsed menu item creation request', {
     body: req.body,
@@ -304,10 +313,15 @@ router.post('/menu-items', requireAdmin, logFormData, upload, async (req, res) =
       logger.warn('Invalid sale price', { sale_price });
       return res.status(400).json({ error: 'Sale price must be a non-negative number' });
     }
+    const prepTime = parsePrepMinutes(prep_time_minutes);
+    if (prepTime.error) {
+      logger.warn('Invalid prep time', { prep_time_minutes });
+      return res.status(400).json({ error: prepTime.error });
+    }
     const image_url = image ? image.path : null; // Cloudinary URL
     const [result] = await db.query(
-      'INSERT INTO menu_items (name, description, regular_price, sale_price, category_id, image_url, availability, dietary_tags, is_best_seller) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [name.trim(), description || null, parsedRegularPrice, parsedSalePrice, parsedCategoryId, image_url, parsedAvailability, JSON.stringify(parsedDietaryTags), parsedIsBestSeller]
+      'INSERT INTO menu_items (name, description, regular_price, sale_price, category_id, image_url, availability, dietary_tags, is_best_seller, prep_time_minutes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [name.trim(), description || null, parsedRegularPrice, parsedSalePrice, parsedCategoryId, image_url, parsedAvailability, JSON.stringify(parsedDietaryTags), parsedIsBestSeller, prepTime.skip ? null : prepTime.value]
     );
     logger.info('Menu item created', { id: result.insertId, name, image_url, is_best_seller: parsedIsBestSeller });
     res.status(201).json({ message: 'Menu item created', id: result.insertId });
@@ -320,7 +334,7 @@ router.post('/menu-items', requireAdmin, logFormData, upload, async (req, res) =
 // Menu item update
 router.put('/menu-items/:id', requireAdmin, logFormData, upload, async (req, res) => {
   const { id } = req.params;
-  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags, is_best_seller } = req.body;
+  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags, is_best_seller, prep_time_minutes } = req.body;
   const image = req.file;
   logger.info('Parsed menu item update request', {
     params: { id },
@@ -367,7 +381,12 @@ router.put('/menu-items/:id', requireAdmin, logFormData, upload, async (req, res
       logger.warn('Invalid sale price', { sale_price });
       return res.status(400).json({ error: 'Sale price must be a non-negative number' });
     }
-    const [existing] = await db.query('SELECT image_url FROM menu_items WHERE id = ?', [itemId]);
+    const prepTime = parsePrepMinutes(prep_time_minutes);
+    if (prepTime.error) {
+      logger.warn('Invalid prep time', { prep_time_minutes });
+      return res.status(400).json({ error: prepTime.error });
+    }
+    const [existing] = await db.query('SELECT image_url, prep_time_minutes FROM menu_items WHERE id = ?', [itemId]);
     if (existing.length === 0) {
       logger.warn('Menu item not found', { id: itemId });
       return res.status(404).json({ error: 'Menu item not found' });
@@ -393,9 +412,10 @@ router.put('/menu-items/:id', requireAdmin, logFormData, upload, async (req, res
       JSON.stringify(parsedDietaryTags),
       parsedIsBestSeller,
       image_url,
+      prepTime.skip ? existing[0].prep_time_minutes : prepTime.value,
       itemId,
     ];
-    const query = 'UPDATE menu_items SET name = ?, description = ?, regular_price = ?, sale_price = ?, category_id = ?, availability = ?, dietary_tags = ?, is_best_seller = ?, image_url = ? WHERE id = ?';
+    const query = 'UPDATE menu_items SET name = ?, description = ?, regular_price = ?, sale_price = ?, category_id = ?, availability = ?, dietary_tags = ?, is_best_seller = ?, image_url = ?, prep_time_minutes = ? WHERE id = ?';
     const [result] = await db.query(query, updateFields);
     if (result.affectedRows === 0) {
       logger.warn('No rows updated', { id: itemId });
@@ -428,6 +448,11 @@ router.delete('/menu-items/:id', async (req, res) => {
       logger.warn('Menu item not found', { id: itemId });
       return res.status(404).json({ error: 'Menu item not found' });
     }
+    const history = await fetchHistory(db, 'menu_item', itemId);
+    if (Object.keys(history).length > 0) {
+      logger.warn('Refusing to delete menu item with history', { id: itemId, history });
+      return res.status(409).json({ error: 'Menu item has history; archive it instead', history });
+    }
     // Delete associated image from Cloudinary
     if (existing[0].image_url) {
       const publicId = existing[0].image_url.split('/').pop().split('.')[0];
@@ -490,7 +515,7 @@ router.get('/menu-items/search', async (req, res) => {
        FROM menu_items mi
        LEFT JOIN categories c ON mi.category_id = c.id
        LEFT JOIN ratings r ON mi.id = r.item_id
-       WHERE mi.name LIKE ? OR mi.description LIKE ?
+       WHERE (mi.name LIKE ? OR mi.description LIKE ?) AND mi.archived_at IS NULL AND c.archived_at IS NULL
        GROUP BY mi.id`,
       [searchTerm, searchTerm]
     );
@@ -552,10 +577,11 @@ router.get('/menu-items', async (req, res) => {
       FROM menu_items mi
       LEFT JOIN categories c ON mi.category_id = c.id
       LEFT JOIN ratings r ON mi.id = r.item_id
+      WHERE mi.archived_at IS NULL AND c.archived_at IS NULL
     `;
     const params = [];
     if (category_id) {
-      query += ' WHERE mi.category_id = ?';
+      query += ' AND mi.category_id = ?';
       params.push(category_id);
     }
     query += ' GROUP BY mi.id';
@@ -592,7 +618,7 @@ router.get('/menu-items/:id/related', async (req, res) => {
        FROM menu_items mi 
        LEFT JOIN categories c ON mi.category_id = c.id
        LEFT JOIN ratings r ON mi.id = r.item_id 
-       WHERE mi.category_id = ? AND mi.id != ?
+       WHERE mi.category_id = ? AND mi.id != ? AND mi.archived_at IS NULL
        GROUP BY mi.id
        LIMIT 4`,
       [product[0].category_id, req.params.id]
@@ -612,6 +638,61 @@ router.get('/menu-items/:id/related', async (req, res) => {
   }
 });
 
+// Archive or restore a menu item or category; archived rows stay resolvable from past orders
+const archiveHandler = (type, archived) => async (req, res) => {
+  const { label } = ARCHIVABLE[type];
+  const id = parseInt(req.params.id);
+  try {
+    if (isNaN(id) || id <= 0) {
+      logger.warn(`Invalid ${type} ID`, { id: req.params.id });
+      return res.status(400).json({ error: `Valid ${label.toLowerCase()} ID is required` });
+    }
+    const row = await setArchived(db, type, id, archived);
+    if (!row) {
+      logger.warn(`${label} not found`, { id });
+      return res.status(404).json({ error: `${label} not found` });
+    }
+    logger.info(`${label} ${archived ? 'archived' : 'unarchived'}`, { id, userId: req.user.id });
+    res.json({ message: `${label} ${archived ? 'archived' : 'unarchived'}`, ...row });
+  } catch (error) {
+    logger.error(`Error ${archived ? 'archiving' : 'unarchiving'} ${type}`, { error: error.message, id: req.params.id });
+    res.status(500).json({ error: `Failed to ${archived ? 'archive' : 'unarchive'} ${label.toLowerCase()}` });
+  }
+};
+
+router.put('/menu-items/:id/archive', requireAdmin, archiveHandler('menu_item', true));
+router.put('/menu-items/:id/unarchive', requireAdmin, archiveHandler('menu_item', false));
+router.put('/categories/:id/archive', requireAdmin, archiveHandler('category', true));
+router.put('/categories/:id/unarchive', requireAdmin, archiveHandler('category', false));
+
+// Admin listing of everything archived
+router.get('/archived', requireAdmin, async (req, res) => {
+  try {
+    const [menuItems] = await db.query(
+      `SELECT mi.id, mi.name, mi.image_url, mi.category_id, c.name AS category_name, mi.archived_at
+       FROM menu_items mi
+       LEFT JOIN categories c ON mi.category_id = c.id
+       WHERE mi.archived_at IS NOT NULL
+       ORDER BY mi.archived_at DESC`
+    );
+    const [breakfasts] = await db.query(
+      `SELECT b.id, b.name, b.image_url, b.category_id, c.name AS category_name, b.archived_at
+       FROM breakfasts b
+       LEFT JOIN categories c ON b.category_id = c.id
+       WHERE b.archived_at IS NOT NULL
+       ORDER BY b.archived_at DESC`
+    );
+    const [categories] = await db.query(
+      'SELECT id, name, image_url, archived_at FROM categories WHERE archived_at IS NOT NULL ORDER BY archived_at DESC'
+    );
+    logger.info('Archived entities fetched', { menuItems: menuItems.length, breakfasts: breakfasts.length, categories: categories.length });
+    res.json({ menu_items: menuItems, breakfasts, categories });
+  } catch (error) {
+    logger.error('Error fetching archived entities', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch archived entities' });
+  }
+});
+
 // Create supplement
 router.post('/supplements', async (req, res) => {
   const { name, price } = req.body;
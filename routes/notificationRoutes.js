@@ -9,6 +9,9 @@ const checkAdminOrServer = async (userId) => {
   return rows.length > 0 && ['admin', 'server'].includes(rows[0].role);
 };
 
+// Staff-facing notification kinds: new orders and guest table requests
+const STAFF_NOTIFICATION_TYPES = ['order', 'table_request'];
+
 router.get('/notifications', async (req, res) => {
   const { is_read } = req.query;
   const userId = req.user?.id; // Changed from req.session.user to req.user
@@ -20,8 +23,8 @@ router.get('/notifications', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    let query = 'SELECT * FROM notifications WHERE type = ?';
-    const queryParams = ['order'];
+    let query = 'SELECT * FROM notifications WHERE type IN (?)';
+    const queryParams = [STAFF_NOTIFICATION_TYPES];
 
     if (is_read !== undefined && ['0', '1'].includes(is_read)) {
       query += ' AND is_read = ?';
@@ -85,7 +88,7 @@ router.put('/notifications/clear', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    await db.query('UPDATE notifications SET is_read = 1 WHERE is_read = 0 AND type = ?', ['order']);
+    await db.query('UPDATE notifications SET is_read = 1 WHERE is_read = 0 AND type IN (?)', [STAFF_NOTIFICATION_TYPES]);
     logger.info('Notifications cleared', { userId, timestamp });
     res.json({ message: 'Notifications cleared' });
   } catch (error) {
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { RESTAURANT_TIMEZONE, fetchOpeningHours, parseOpeningHours } = require('../utils/openingHours');
+
+const checkAdmin = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && rows[0].role === 'admin';
+};
+
+// Weekly opening hours, public so guests can pick a pickup slot
+router.get('/opening-hours', async (req, res) => {
+  try {
+    const hours = await fetchOpeningHours(db);
+    res.json({ timezone: RESTAURANT_TIMEZONE, hours });
+  } catch (error) {
+    logger.error('Error fetching opening hours', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch opening hours' });
+  }
+});
+
+// Replace the whole weekly schedule; an empty list removes every restriction
+router.put('/opening-hours', async (req, res) => {
+  const { hours } = req.body;
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to update opening hours', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const parsed = parseOpeningHours(hours);
+    if (parsed.error) {
+      logger.warn('Invalid opening hours', { error: parsed.error });
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query('DELETE FROM opening_hours');
+      for (const { day_of_week, open_time, close_time } of parsed.hours) {
+        await connection.query(
+          'INSERT INTO opening_hours (day_of_week, open_time, close_time, updated_by) VALUES (?, ?, ?, ?)',
+          [day_of_week, open_time, close_time, req.user.id]
+        );
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.info('Opening hours updated', { count: parsed.hours.length, userId: req.user.id });
+    res.json({ message: 'Opening hours updated', timezone: RESTAURANT_TIMEZONE, hours: await fetchOpeningHours(db) });
+  } catch (error) {
+    logger.error('Error updating opening hours', { error: error.message });
+    res.status(500).json({ error: 'Failed to update opening hours' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,23 @@ const logger = require('../logger');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
+const { KITCHEN_STATUSES, canTransition } = require('../utils/orderStatus');
+const { fetchOrderDetailsList, fetchOrderDetails, publicOrderDetails } = require('../utils/orderDetails');
+const { roundMoney, priceOrder } = require('../utils/orderPricing');
+const { getOrOpenTableSession } = require('../utils/tableSessions');
+const { recordOrderEvent, fetchOrderEvents } = require('../utils/orderEvents');
+const { ORDER_TYPES, buildOrderFilters, encodeCursor } = require('../utils/orderFilters');
+const { isValidRequestId, hashOrderRequest, orderCreatedResponse, findIdempotentOrder } = require('../utils/orderIdempotency');
+const { cancelOrder } = require('../utils/orderCancellation');
+const { approveOrders } = require('../utils/orderApproval');
+const { voidOrderLine } = require('../utils/orderVoids');
+const { PICKUP_ORDER_TYPES, parsePickupDetails, generatePickupCode } = require('../utils/pickup');
+const { resolveDelivery } = require('../utils/deliveryZones');
+const { refreshOrderEtas, estimatePendingOrder } = require('../utils/orderEta');
+const { resolveTableToken } = require('../utils/tableTokens');
+const { syncStationTickets, completeStationTicket, emitStationTickets } = require('../utils/orderStations');
+const { insertOrderLines, recalculateOrderTotal, applyStockDelta } = require('../utils/orderLines');
+const { computeIngredientUsage } = require('../utils/orderStock');
 
 const recentRequests = new Map();
 
@@ -14,9 +31,21 @@ const checkAdminOrServer = async (userId) => {
   return rows.length > 0 && ['admin', 'server'].includes(rows[0].role);
 };
 
+const MAX_BATCH_ORDERS = 50;
+
+// Unique positive order ids from a batch request body, or null when the list is unusable
+const parseOrderIds = (orderIds) => {
+  if (!Array.isArray(orderIds)) return null;
+  const parsed = Array.from(new Set(orderIds.map(orderId => parseInt(orderId, 10))));
+  if (parsed.length === 0 || parsed.length > MAX_BATCH_ORDERS || parsed.some(orderId => isNaN(orderId) || orderId <= 0)) {
+    return null;
+  }
+  return parsed;
+};
+
 module.exports = (io) => {
   router.post('/orders', async (req, res) => {
-    const { items, breakfastItems, total_price, order_type, delivery_address, promotion_id, table_id, request_id, notes, session_id, source } = req.body;
+    const { items, breakfastItems, total_price, order_type, delivery_address, promotion_id, table_id, table_token, request_id, notes, session_id, source } = req.body;
     const isStaffRequest = req.user && ['admin', 'server'].includes(req.user.role) && source === 'staff-console';
     const autoApprove = isStaffRequest;
     const sessionId = session_id || req.headers['x-session-id'] || req.sessionID || (isStaffRequest ? `staff-${req.user.id}-${uuidv4()}` : null);
@@ -24,6 +53,8 @@ module.exports = (io) => {
     const userAgent = req.headers['user-agent'] || 'unknown';
     const ipAddress = req.headers['x-forwarded-for'] || req.ip || 'unknown';
     const timestamp = new Date().toISOString();
+    const requestId = typeof request_id === 'string' && request_id.trim() ? request_id.trim() : null;
+    const requestHash = requestId ? hashOrderRequest(req.body) : null;
 
     // Validate deviceId
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -48,7 +79,7 @@ module.exports = (io) => {
     logger.info('Received order request', {
       items: items?.length || 0,
       breakfastItems: breakfastItems?.length || 0,
-      request_id: null,
+      request_id: requestId,
       table_id,
       supplements: items?.map(i => ({ item_id: i.item_id, supplement_id: i.supplement_id, supplement_ids: i.supplement_ids })) || [],
       sessionId,
@@ -60,6 +91,25 @@ module.exports = (io) => {
     });
 
     try {
+      if (requestId && !isValidRequestId(requestId)) {
+        logger.warn('Invalid request ID', { request_id: requestId.slice(0, 80), sessionId, timestamp });
+        return res.status(400).json({ error: 'Request ID must be 1 to 64 letters, digits, hyphens or underscores' });
+      }
+
+      // A retry of an order that already went through gets the original response, before any rate limiting
+      if (requestId) {
+        const existing = await findIdempotentOrder(db, sessionId, requestId, requestHash);
+        if (existing && existing.error) {
+          logger.warn('Idempotency key rejected', { requestId, error: existing.error, sessionId, timestamp });
+          return res.status(existing.status).json({ error: existing.error });
+        }
+        if (existing) {
+          logger.info('Replaying order for idempotency key', { requestId, orderId: existing.orderId, sessionId, timestamp });
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(201).json(existing.response);
+        }
+      }
+
       if (!isStaffRequest) {
         // Clean up old entries from device_order_limits (older than 1 hour)
         await db.query(
@@ -95,26 +145,34 @@ module.exports = (io) => {
         return res.status(400).json({ error: 'Valid session ID is required' });
       }
 
-      const orderHash = crypto
-        .createHash('sha256')
-        .update(JSON.stringify({ items, breakfastItems, table_id, order_type, total_price, sessionId, notes }))
-        .digest('hex');
-      if (recentRequests.has(orderHash)) {
-        logger.warn('Duplicate order submission detected', { sessionId, orderHash, timestamp });
-        return res.status(429).json({ error: 'Duplicate order detected. Please wait a moment.' });
+      // Clients without a request_id still get the short in-memory duplicate guard
+      if (!requestId) {
+        const orderHash = crypto
+          .createHash('sha256')
+          .update(JSON.stringify({ items, breakfastItems, table_id, table_token, order_type, total_price, sessionId, notes }))
+          .digest('hex');
+        if (recentRequests.has(orderHash)) {
+          logger.warn('Duplicate order submission detected', { sessionId, orderHash, timestamp });
+          return res.status(429).json({ error: 'Duplicate order detected. Please wait a moment.' });
+        }
+        recentRequests.set(orderHash, timestamp);
+        setTimeout(() => recentRequests.delete(orderHash), 15000);
       }
-      recentRequests.set(orderHash, timestamp);
-      setTimeout(() => recentRequests.delete(orderHash), 15000);
 
       if (!items?.length && !breakfastItems?.length) {
         logger.warn('Invalid or empty items', { sessionId, timestamp });
         return res.status(400).json({ error: 'Items or breakfast items array is required and non-empty' });
       }
-      if (!order_type || !['local', 'delivery', 'takeaway', 'imported'].includes(order_type)) {
+      if (!order_type || !ORDER_TYPES.includes(order_type)) {
         logger.warn('Invalid order_type', { order_type, sessionId, timestamp });
         return res.status(400).json({ error: 'Invalid order type' });
       }
-      if (order_type === 'local' && (!table_id || isNaN(parseInt(table_id)))) {
+      // Guests can only order to the table whose QR code they scanned; staff may pick any table
+      if (order_type === 'local' && !isStaffRequest && (typeof table_token !== 'string' || !table_token.trim())) {
+        logger.warn('Missing table token', { sessionId, timestamp });
+        return res.status(400).json({ error: 'Table QR token required for local orders' });
+      }
+      if (order_type === 'local' && isStaffRequest && !table_token && (!table_id || isNaN(parseInt(table_id)))) {
         logger.warn('Invalid table_id', { table_id, sessionId, timestamp });
         return res.status(400).json({ error: 'Table ID required for local orders' });
       }
@@ -122,201 +180,50 @@ module.exports = (io) => {
         logger.warn('Missing delivery address', { sessionId, timestamp });
         return res.status(400).json({ error: 'Delivery address required' });
       }
-
-      let calculatedTotal = 0;
-
-      if (items && Array.isArray(items)) {
-        for (const item of items) {
-          const { item_id, quantity, unit_price } = item;
-          const supplementIds = Array.isArray(item.supplement_ids)
-            ? item.supplement_ids.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id))
-            : [];
-          if (item.supplement_id && !supplementIds.includes(item.supplement_id)) {
-            supplementIds.push(parseInt(item.supplement_id, 10));
-          }
-          if (!item_id || isNaN(item_id) || item_id <= 0) {
-            logger.warn('Invalid item_id', { item_id, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid item_id: ${item_id}` });
-          }
-          if (!quantity || isNaN(quantity) || quantity <= 0) {
-            logger.warn('Invalid quantity', { item_id, quantity, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid quantity for item ${item_id}` });
-          }
-          if (!unit_price || isNaN(parseFloat(unit_price)) || parseFloat(unit_price) <= 0) {
-            logger.warn('Invalid unit_price', { item_id, unit_price, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for item ${item_id}` });
-          }
-
-          const [menuItem] = await db.query('SELECT availability, regular_price, sale_price FROM menu_items WHERE id = ?', [item_id]);
-          if (menuItem.length === 0 || !menuItem[0].availability) {
-            logger.warn('Item unavailable', { item_id, sessionId, timestamp });
-            return res.status(400).json({ error: `Item ${item_id} is unavailable` });
-          }
-          let expectedPrice = menuItem[0].sale_price !== null ? parseFloat(menuItem[0].sale_price) : parseFloat(menuItem[0].regular_price);
-          let itemTotal = expectedPrice;
-
-          if (supplementIds.length > 0) {
-            const [supplements] = await db.query(
-              `SELECT supplement_id, additional_price FROM menu_item_supplements WHERE menu_item_id = ? AND supplement_id IN (?)`,
-              [item_id, supplementIds]
-            );
-            if (supplements.length !== supplementIds.length) {
-              const foundIds = supplements.map(s => s.supplement_id);
-              logger.warn('Invalid supplements', { item_id, supplementIds, foundIds, sessionId, timestamp });
-              return res.status(400).json({ error: `Invalid supplement IDs for item ${item_id}. Provided: [${supplementIds.join(', ')}], Found: [${foundIds.join(', ')}]` });
-            }
-            const supplementPrice = supplements.reduce((sum, supp) => sum + parseFloat(supp.additional_price || 0), 0);
-            itemTotal += supplementPrice;
-          }
-
-          if (Math.abs(parseFloat(unit_price) - itemTotal) > 0.01) {
-            logger.warn('Price mismatch', { item_id, provided: unit_price, expected: itemTotal, sessionId, timestamp, supplementIds });
-            return res.status(400).json({ error: `Invalid unit_price for item ${item_id}. Expected ${itemTotal}, got ${unit_price}` });
-          }
-          calculatedTotal += itemTotal * quantity;
+      let pickup = null;
+      if (PICKUP_ORDER_TYPES.includes(order_type)) {
+        pickup = await parsePickupDetails(db, req.body);
+        if (pickup.error) {
+          logger.warn('Invalid pickup details', { order_type, error: pickup.error, sessionId, timestamp });
+          return res.status(400).json({ error: pickup.error });
         }
       }
 
-      const breakfastMap = new Map();
-      if (breakfastItems && Array.isArray(breakfastItems)) {
-        for (const item of breakfastItems) {
-          const { breakfast_id, quantity, unit_price, option_ids } = item;
-          if (!breakfast_id || isNaN(breakfast_id) || breakfast_id <= 0) {
-            logger.warn('Invalid breakfast_id', { breakfast_id, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid breakfast_id: ${breakfast_id}` });
-          }
-          if (!quantity || isNaN(quantity) || quantity <= 0) {
-            logger.warn('Invalid quantity', { breakfast_id, quantity, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid quantity for breakfast ${breakfast_id}` });
-          }
-          if (!unit_price || isNaN(parseFloat(unit_price)) || parseFloat(unit_price) <= 0) {
-            logger.warn('Invalid unit_price', { breakfast_id, unit_price, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for breakfast ${breakfast_id}` });
-          }
-
-          const [breakfast] = await db.query('SELECT availability, price FROM breakfasts WHERE id = ?', [breakfast_id]);
-          if (breakfast.length === 0 || !breakfast[0].availability) {
-            logger.warn('Breakfast unavailable', { breakfast_id, sessionId, timestamp });
-            return res.status(400).json({ error: `Breakfast ${breakfast_id} is unavailable` });
-          }
-          let expectedPrice = parseFloat(breakfast[0].price);
-
-          const [groups] = await db.query(
-            `SELECT DISTINCT bog.id, bog.is_required, bog.title
-             FROM breakfast_option_groups bog
-             LEFT JOIN breakfast_options bo ON bo.group_id = bog.id
-             WHERE bog.breakfast_id = ? AND bo.id IS NOT NULL
-             UNION
-             SELECT DISTINCT bog.id, bog.is_required, bog.title
-             FROM breakfast_option_groups bog
-             INNER JOIN breakfast_option_group_mappings bogm ON bog.id = bogm.option_group_id
-             LEFT JOIN breakfast_options bo ON bo.group_id = bog.id
-             WHERE bogm.breakfast_id = ? AND bog.breakfast_id IS NULL AND bo.id IS NOT NULL`,
-            [breakfast_id, breakfast_id]
-          );
-
-          logger.info('Fetched option groups for breakfast', {
-            breakfast_id,
-            groupCount: groups.length,
-            requiredGroups: groups.filter(g => g.is_required).map(g => ({ id: g.id, title: g.title })),
-            sessionId,
-            timestamp
-          });
-
-          if (option_ids && Array.isArray(option_ids) && option_ids.length > 0) {
-            const [options] = await db.query(
-              `SELECT bo.id, bo.group_id, bo.additional_price
-               FROM breakfast_options bo
-               JOIN breakfast_option_groups bog ON bo.group_id = bog.id
-               WHERE (bo.breakfast_id = ? OR bo.breakfast_id IS NULL)
-               AND bo.id IN (?)`,
-              [breakfast_id, option_ids]
-            );
-            if (options.length !== option_ids.length) {
-              logger.warn('Invalid breakfast options', {
-                breakfast_id,
-                provided_option_ids: option_ids,
-                found_options: options.map(o => o.id),
-                sessionId,
-                timestamp
-              });
-              return res.status(400).json({
-                error: `Invalid option IDs for breakfast ${breakfast_id}. Provided: [${option_ids.join(', ')}], Found: [${options.map(o => o.id).join(', ')}]`
-              });
-            }
-            const selectedGroups = new Set(options.map(opt => opt.group_id));
-            const requiredGroups = groups.filter(g => g.is_required).map(g => g.id);
-            const missingRequiredGroups = requiredGroups.filter(g => !selectedGroups.has(g));
-            if (missingRequiredGroups.length > 0) {
-              const missingGroupTitles = groups
-                .filter(g => missingRequiredGroups.includes(g.id))
-                .map(g => g.title || `Group ${g.id}`)
-                .join(', ');
-              logger.warn('Missing required options', {
-                breakfast_id,
-                missingGroups: missingRequiredGroups,
-                missingGroupTitles,
-                sessionId,
-                timestamp
-              });
-              return res.status(400).json({
-                error: `Must select one option from each required option group for breakfast ${breakfast_id}. Missing groups: [${missingGroupTitles}]`
-              });
-            }
-            const optionPrice = options.reduce((sum, opt) => sum + parseFloat(opt.additional_price || 0), 0);
-            expectedPrice += optionPrice;
-          } else if (groups.length > 0) {
-            const requiredGroups = groups.filter(g => g.is_required);
-            if (requiredGroups.length > 0) {
-              const requiredGroupTitles = requiredGroups.map(g => g.title || `Group ${g.id}`).join(', ');
-              logger.warn('No options provided but required groups exist', {
-                breakfast_id,
-                requiredGroupCount: requiredGroups.length,
-                requiredGroupTitles,
-                sessionId,
-                timestamp
-              });
-              return res.status(400).json({
-                error: `Must select one option from each of the ${requiredGroups.length} required option groups for breakfast ${breakfast_id}. Required groups: [${requiredGroupTitles}]`
-              });
-            }
-          }
-
-          const providedPrice = parseFloat(unit_price);
-          if (isNaN(providedPrice) || providedPrice <= 0) {
-            logger.warn('Invalid unit_price', { breakfast_id, unit_price, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for breakfast ${breakfast_id}` });
-          }
-          if (providedPrice + 0.01 < expectedPrice) {
-            logger.warn('Price below expected', { breakfast_id, provided: unit_price, expected: expectedPrice, sessionId, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for breakfast ${breakfast_id}. Expected at least ${expectedPrice}, got ${unit_price}` });
-          }
-          // Allow minor overage (treat provided price if higher than calculated to support future surcharges)
-          if (providedPrice > expectedPrice) {
-            expectedPrice = providedPrice;
-          }
+      const pricing = await priceOrder({ items, breakfastItems, promotion_id }, { logContext: { sessionId, timestamp } });
+      if (pricing.error) {
+        return res.status(400).json({ error: pricing.error });
+      }
 
-          if (!breakfastMap.has(breakfast_id)) {
-            breakfastMap.set(breakfast_id, { breakfast_id, quantity: 0, unit_price: expectedPrice, option_ids: [] });
-          }
-          const breakfastEntry = breakfastMap.get(breakfast_id);
-          breakfastEntry.quantity += quantity;
-          if (option_ids && Array.isArray(option_ids)) {
-            breakfastEntry.option_ids.push(...option_ids.filter(id => !breakfastEntry.option_ids.includes(id)));
-          }
-          calculatedTotal += expectedPrice * quantity;
+      // Delivery orders pay their zone's fee on top of the items
+      let delivery = null;
+      if (order_type === 'delivery') {
+        delivery = await resolveDelivery(db, req.body, pricing.total);
+        if (delivery.error) {
+          logger.warn('Delivery rejected', { error: delivery.error, sessionId, timestamp });
+          return res.status(400).json({ error: delivery.error });
         }
       }
+      const deliveryFee = delivery ? delivery.fee : 0;
+      const calculatedTotal = roundMoney(pricing.total + deliveryFee);
 
       let tableRecord = null;
-      let effectiveTableId = table_id;
-      if (order_type === 'local' && table_id) {
+      let effectiveTableId = null;
+      if (order_type === 'local' && table_token) {
+        const resolved = await resolveTableToken(db, table_token);
+        if (resolved.error) {
+          logger.warn('Table token rejected', { error: resolved.error, sessionId, timestamp });
+          return res.status(resolved.status).json({ error: resolved.error });
+        }
+        tableRecord = resolved.table;
+      } else if (order_type === 'local' && isStaffRequest) {
         const [tableRows] = await db.query('SELECT id, status FROM tables WHERE id = ? OR table_number = ?', [table_id, table_id]);
         if (tableRows.length === 0) {
           logger.warn('Invalid table', { table_id, sessionId, timestamp });
           return res.status(400).json({ error: 'Table does not exist' });
         }
         tableRecord = tableRows[0];
+      }
+      if (tableRecord) {
         effectiveTableId = tableRecord.id;
         if (tableRecord.status === 'reserved') {
           logger.warn('Table reserved', { table_id, sessionId, timestamp });
@@ -327,61 +234,6 @@ module.exports = (io) => {
         }
       }
 
-      let discount = 0;
-      if (promotion_id) {
-        const [promo] = await db.query(
-          'SELECT discount_percentage, item_id FROM promotions WHERE id = ? AND active = TRUE AND NOW() BETWEEN start_date AND end_date',
-          [promotion_id]
-        );
-        if (promo.length > 0) {
-          discount = promo[0].discount_percentage / 100;
-          let promoCalculatedPrice = 0;
-
-          if (items && Array.isArray(items)) {
-            for (const item of items) {
-              const [menuItem] = await db.query('SELECT regular_price, sale_price FROM menu_items WHERE id = ?', [item.item_id]);
-              let itemPrice = (menuItem[0].sale_price !== null ? parseFloat(menuItem[0].sale_price) : parseFloat(menuItem[0].regular_price)) * item.quantity;
-
-              const promoSupplementIds = Array.isArray(item.supplement_ids)
-                ? item.supplement_ids.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id))
-                : [];
-              if (item.supplement_id && !promoSupplementIds.includes(item.supplement_id)) {
-                promoSupplementIds.push(parseInt(item.supplement_id, 10));
-              }
-
-              if (promoSupplementIds.length > 0) {
-                const [supplements] = await db.query(
-                  'SELECT additional_price FROM menu_item_supplements WHERE menu_item_id = ? AND supplement_id IN (?)',
-                  [item.item_id, promoSupplementIds]
-                );
-                const suppPrice = supplements.reduce((sum, supp) => sum + parseFloat(supp.additional_price || 0), 0) * item.quantity;
-                itemPrice += suppPrice;
-              }
-
-              promoCalculatedPrice += (!promo[0].item_id || item.item_id === promo[0].item_id) ? itemPrice * (1 - discount) : itemPrice;
-            }
-          }
-
-          if (breakfastItems && Array.isArray(breakfastItems)) {
-            for (const item of breakfastItems) {
-              const [breakfast] = await db.query('SELECT price FROM breakfasts WHERE id = ?', [item.breakfast_id]);
-              let itemPrice = parseFloat(breakfast[0].price) * item.quantity;
-              if (item.option_ids && Array.isArray(item.option_ids)) {
-                const [options] = await db.query(
-                  'SELECT additional_price FROM breakfast_options WHERE breakfast_id = ? AND id IN (?)',
-                  [item.breakfast_id, item.option_ids]
-                );
-                const optionPrice = options.reduce((sum, opt) => sum + parseFloat(opt.additional_price || 0), 0) * item.quantity;
-                itemPrice += optionPrice;
-              }
-              promoCalculatedPrice += itemPrice;
-            }
-          }
-
-          calculatedTotal = promoCalculatedPrice;
-        }
-      }
-
       const providedPrice = parseFloat(total_price) || 0;
       if (Math.abs(providedPrice - calculatedTotal) > 0.01) {
         logger.warn('Total price mismatch', { providedPrice, calculatedPrice: calculatedTotal, sessionId, timestamp });
@@ -392,9 +244,20 @@ module.exports = (io) => {
       await connection.beginTransaction();
 
       try {
+        // Local orders join the table's open tab, opening one on the first order of the visit
+        const tableSession = order_type === 'local' && tableRecord
+          ? await getOrOpenTableSession(connection, tableRecord.id)
+          : null;
+
+        const pickupCode = pickup ? await generatePickupCode(connection) : null;
+
         const [orderResult] = await connection.query(
-          'INSERT INTO orders (total_price, order_type, delivery_address, promotion_id, table_id, session_id, notes, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-          [calculatedTotal, order_type, delivery_address || null, promotion_id || null, order_type === 'local' ? effectiveTableId : null, sessionId, notes || null, autoApprove ? 'preparing' : 'pending']
+          `INSERT INTO orders (total_price, order_type, delivery_address, promotion_id, table_id, table_session_id, session_id, notes, status, request_id, request_hash,
+                               customer_name, customer_phone, scheduled_for, pickup_code, delivery_zone_id, delivery_fee, delivery_postal_code, delivery_distance_km)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [calculatedTotal, order_type, delivery_address || null, promotion_id || null, order_type === 'local' ? effectiveTableId : null, tableSession ? tableSession.id : null, sessionId, notes || null, autoApprove ? 'preparing' : 'pending', requestId, requestHash,
+            pickup ? pickup.customerName : null, pickup ? pickup.customerPhone : null, pickup ? pickup.scheduledFor : null, pickupCode,
+            delivery && delivery.zone ? delivery.zone.id : null, deliveryFee, delivery ? delivery.postalCode : null, delivery ? delivery.distanceKm : null]
         );
         const orderId = orderResult.insertId;
 
@@ -409,184 +272,43 @@ module.exports = (io) => {
           }
         }
 
-        if (items && Array.isArray(items)) {
-          for (const item of items) {
-            const supplementIds = Array.isArray(item.supplement_ids)
-              ? item.supplement_ids.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id))
-              : [];
-            if (item.supplement_id && !supplementIds.includes(item.supplement_id)) {
-              supplementIds.push(parseInt(item.supplement_id, 10));
-            }
-            const primarySupplementId = supplementIds.length > 0 ? supplementIds[0] : null;
-            await connection.query(
-              'INSERT INTO order_items (order_id, item_id, quantity, unit_price, supplement_id) VALUES (?, ?, ?, ?, ?)',
-              [orderId, item.item_id, item.quantity, item.unit_price, primarySupplementId]
-            );
-          }
-        }
+        await insertOrderLines(connection, orderId, pricing);
 
-        if (breakfastItems && Array.isArray(breakfastItems)) {
-          for (const [breakfast_id, { quantity, unit_price, option_ids }] of breakfastMap) {
-            const [orderItemResult] = await connection.query(
-              'INSERT INTO order_items (order_id, breakfast_id, quantity, unit_price) VALUES (?, ?, ?, ?)',
-              [orderId, breakfast_id, quantity, unit_price]
-            );
-            const orderItemId = orderItemResult.insertId;
-            if (option_ids && Array.isArray(option_ids) && option_ids.length > 0) {
-              for (const optionId of option_ids) {
-                await connection.query(
-                  'INSERT INTO breakfast_order_options (order_item_id, breakfast_option_id) VALUES (?, ?)',
-                  [orderItemId, optionId]
-                );
-              }
-            }
-          }
-        }
+        await recordOrderEvent(connection, orderId, 'created', {
+          actorId: isStaffRequest ? req.user.id : null,
+          sessionId,
+          toStatus: autoApprove ? 'preparing' : 'pending',
+          details: {
+            order_type,
+            total_price: calculatedTotal,
+            source: isStaffRequest ? 'staff-console' : 'guest',
+            ...(pickupCode && { pickup_code: pickupCode, scheduled_for: pickup.scheduledFor }),
+            ...(delivery && { delivery_zone_id: delivery.zone ? delivery.zone.id : null, delivery_fee: deliveryFee }),
+          },
+        });
 
         // Auto-approve staff-created orders with immediate stock deduction
         if (autoApprove) {
-          const ingredientUsage = new Map();
-
-          const [orderItems] = await connection.query(
-            'SELECT item_id, breakfast_id, quantity, supplement_id FROM order_items WHERE order_id = ?',
-            [orderId]
-          );
-          const [breakfastOptions] = await connection.query(
-            'SELECT boo.breakfast_option_id FROM breakfast_order_options boo JOIN order_items oi ON boo.order_item_id = oi.id WHERE oi.order_id = ?',
-            [orderId]
-          );
-
-          for (const item of orderItems) {
-            const { item_id, breakfast_id, quantity, supplement_id } = item;
-
-            if (item_id) {
-              const [menuItemIngredients] = await connection.query(
-                'SELECT ingredient_id, quantity AS ingredient_quantity FROM menu_item_ingredients WHERE menu_item_id = ?',
-                [item_id]
-              );
-              for (const ing of menuItemIngredients) {
-                const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-                ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-              }
-            }
-
-            if (supplement_id) {
-              const [supplementIngredients] = await connection.query(
-                'SELECT ingredient_id, quantity AS ingredient_quantity FROM supplement_ingredients WHERE supplement_id = ?',
-                [supplement_id]
-              );
-              for (const ing of supplementIngredients) {
-                const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-                ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-              }
-            }
-
-            if (breakfast_id) {
-              const [breakfastIngredients] = await connection.query(
-                'SELECT ingredient_id, quantity AS ingredient_quantity FROM breakfast_ingredients WHERE breakfast_id = ?',
-                [breakfast_id]
-              );
-              for (const ing of breakfastIngredients) {
-                const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-                ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-              }
-            }
-          }
-
-          for (const option of breakfastOptions) {
-            const [optionIngredients] = await connection.query(
-              'SELECT ingredient_id, quantity AS ingredient_quantity FROM breakfast_option_ingredients WHERE breakfast_option_id = ?',
-              [option.breakfast_option_id]
-            );
-            for (const ing of optionIngredients) {
-              const totalQuantity = parseFloat(ing.ingredient_quantity);
-              ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-            }
-          }
-
-          for (const [ingredientId, requiredQuantity] of ingredientUsage) {
-            const [stock] = await connection.query(
-              'SELECT name, quantity_in_stock FROM ingredients WHERE id = ? FOR UPDATE',
-              [ingredientId]
-            );
-
-            if (stock.length === 0) {
-              await connection.rollback();
-              logger.warn('Ingredient not found during auto-approval', { ingredientId, orderId, sessionId, timestamp });
-              return res.status(400).json({ error: `Ingredient ID ${ingredientId} not found` });
-            }
-
-            const availableStock = parseFloat(stock[0].quantity_in_stock);
-            if (availableStock < requiredQuantity) {
-              await connection.rollback();
-              logger.warn('Insufficient stock during auto-approval', {
-                ingredientId,
-                ingredientName: stock[0].name,
-                required: requiredQuantity,
-                available: availableStock,
-                orderId,
-                sessionId,
-                timestamp
-              });
-              return res.status(400).json({
-                error: `Insufficient stock for ${stock[0].name}. Required: ${requiredQuantity}, Available: ${availableStock}`
-              });
-            }
-
-            const newQuantity = availableStock - requiredQuantity;
-            await connection.query(
-              'UPDATE ingredients SET quantity_in_stock = ?, updated_at = NOW() WHERE id = ?',
-              [newQuantity, ingredientId]
-            );
-            await connection.query(
-              'INSERT INTO stock_transactions (ingredient_id, quantity, transaction_type, order_id, reason) VALUES (?, ?, ?, ?, ?)',
-              [ingredientId, -requiredQuantity, 'deduction', orderId, 'Order approval']
-            );
+          const [approval] = await approveOrders(connection, [orderId], { actorId: req.user.id, details: { auto: true } });
+          if (!approval.ok) {
+            await connection.rollback();
+            logger.warn('Auto-approval failed', { orderId, error: approval.error, sessionId, timestamp });
+            return res.status(approval.status).json({ error: approval.error });
           }
-
-          await connection.query(
-            'UPDATE orders SET approved = 1, status = ? WHERE id = ?',
-            ['preparing', orderId]
-          );
         }
 
-        const [orderDetails] = await connection.query(`
-          SELECT o.*, t.table_number,
-                 GROUP_CONCAT(oi.item_id) AS item_ids,
-                 GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-                 GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-                 GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-                 GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-                 GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-                 GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-                 GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-                 GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-                 GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-                 GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-                 GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-          FROM orders o
-          LEFT JOIN order_items oi ON o.id = oi.order_id
-          LEFT JOIN menu_items mi ON oi.item_id = mi.id
-          LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
-          LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-          LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-          LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-          LEFT JOIN tables t ON o.table_id = t.id
-          WHERE o.id = ?
-          GROUP BY o.id
-        `, [orderId]);
-
-        orderDetails[0].approved = Number(orderDetails[0].approved);
+        const orderDetails = await fetchOrderDetails(connection, orderId);
 
         let notification = null;
         if (!isStaffRequest) {
           let notificationMessage;
           if (order_type === 'local') {
-            notificationMessage = `New order #${orderId} for Table ${orderDetails[0].table_number || effectiveTableId || 'N/A'}`;
+            notificationMessage = `New order #${orderId} for Table ${orderDetails.table_number || effectiveTableId || 'N/A'}`;
           } else if (order_type === 'delivery') {
             notificationMessage = `New delivery order #${orderId} for ${delivery_address}`;
           } else {
-            notificationMessage = `New imported order #${orderId}`;
+            const scheduled = pickup.scheduledFor ? ` for ${pickup.scheduledFor.toISOString()}` : '';
+            notificationMessage = `New ${order_type} order #${orderId}, pickup code ${pickupCode}${scheduled}`;
           }
 
           const [notificationResult] = await connection.query(
@@ -601,9 +323,17 @@ module.exports = (io) => {
 
         await connection.commit();
 
+        // Auto-approved orders join the kitchen queue straight away; others get a provisional ETA
+        const estimatedReadyAt = autoApprove
+          ? (await refreshOrderEtas(io)).get(orderId) || null
+          : await estimatePendingOrder(orderId);
+        if (autoApprove) {
+          await emitStationTickets(io, orderId);
+        }
+
         if (!isStaffRequest) {
-          io.to('staff-notifications').emit('newOrder', orderDetails[0]);
-          io.to(`guest-${sessionId}`).emit('newOrder', orderDetails[0]);
+          io.to('staff-notifications').emit('newOrder', orderDetails);
+          io.to(`guest-${sessionId}`).emit('newOrder', orderDetails);
 
           if (notification) {
             io.to('staff-notifications').emit('newNotification', {
@@ -618,15 +348,16 @@ module.exports = (io) => {
         }
 
         if (order_type === 'local' && effectiveTableId) {
-          io.to('staff-notifications').emit('tableStatusUpdate', { id: effectiveTableId, status: 'occupied' });
+          io.to('staff-notifications').emit('tableStatusUpdate', { id: effectiveTableId, status: 'occupied', table_session_id: tableSession ? tableSession.id : null });
         }
 
         logger.info('Order created successfully', {
           orderId,
           items: items?.length || 0,
           breakfastItems: breakfastItems?.length || 0,
-          supplements: items?.map(i => ({ item_id: i.item_id, supplement_id: i.supplement_id })) || [],
-          table_id,
+          supplements: items?.map(i => ({ item_id: i.item_id, supplement_id: i.supplement_id, supplement_ids: i.supplement_ids })) || [],
+          table_id: effectiveTableId,
+          tableSessionId: tableSession ? tableSession.id : null,
           total_price: calculatedTotal,
           notificationId: notification?.id || null,
           sessionId,
@@ -635,9 +366,30 @@ module.exports = (io) => {
           timestamp,
           notes,
         });
-        res.status(201).json({ message: 'Order created', orderId });
+        res.status(201).json(orderCreatedResponse({
+          id: orderId,
+          pickup_code: pickupCode,
+          scheduled_for: pickup ? pickup.scheduledFor : null,
+          order_type,
+          delivery_fee: deliveryFee,
+          delivery_eta_minutes: delivery && delivery.zone ? delivery.zone.eta_minutes : null,
+          estimated_ready_at: estimatedReadyAt,
+        }));
       } catch (err) {
         await connection.rollback();
+        // A concurrent retry with the same request_id won the insert; answer with its order
+        if (requestId && err.code === 'ER_DUP_ENTRY') {
+          const existing = await findIdempotentOrder(db, sessionId, requestId, requestHash);
+          if (existing && existing.error) {
+            logger.warn('Idempotency key rejected after race', { requestId, error: existing.error, sessionId, timestamp });
+            return res.status(existing.status).json({ error: existing.error });
+          }
+          if (existing) {
+            logger.info('Replaying order for idempotency key after race', { requestId, orderId: existing.orderId, sessionId, timestamp });
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(201).json(existing.response);
+          }
+        }
         logger.error('Error creating order in transaction', { error: err.message, table_id, sessionId, deviceId, deviceFingerprint, timestamp });
         res.status(500).json({ error: 'Failed to create order' });
       } finally {
@@ -649,10 +401,67 @@ module.exports = (io) => {
     }
   });
 
+  // Price a cart without creating an order, using the same rules POST /orders enforces
+  router.post('/orders/quote', async (req, res) => {
+    const { items, breakfastItems, promotion_id, order_type } = req.body;
+    const sessionId = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!items?.length && !breakfastItems?.length) {
+        logger.warn('Invalid or empty items for quote', { sessionId, timestamp });
+        return res.status(400).json({ error: 'Items or breakfast items array is required and non-empty' });
+      }
+
+      const pricing = await priceOrder({ items, breakfastItems, promotion_id }, { checkUnitPrices: false, logContext: { sessionId, timestamp } });
+      if (pricing.error) {
+        return res.status(400).json({ error: pricing.error });
+      }
+
+      let delivery = null;
+      if (order_type === 'delivery') {
+        delivery = await resolveDelivery(db, req.body, pricing.total);
+        if (delivery.error) {
+          logger.warn('Delivery rejected for quote', { error: delivery.error, sessionId, timestamp });
+          return res.status(400).json({ error: delivery.error });
+        }
+      }
+      const deliveryFee = delivery ? delivery.fee : 0;
+
+      const formatLine = (line) => ({
+        ...line,
+        base_price: roundMoney(line.base_price),
+        unit_price: roundMoney(line.unit_price),
+        line_total: roundMoney(line.line_total),
+        discount: roundMoney(line.discount),
+        total: roundMoney(line.total),
+      });
+
+      logger.info('Order quote computed', { items: pricing.lines.length, breakfastItems: pricing.breakfastLines.length, total: pricing.total, deliveryFee, sessionId, timestamp });
+      res.json({
+        items: pricing.lines.map(formatLine),
+        breakfastItems: pricing.breakfastLines.map(formatLine),
+        promotion: pricing.promotion,
+        subtotal: roundMoney(pricing.subtotal),
+        discount: roundMoney(pricing.discount),
+        delivery_fee: deliveryFee,
+        delivery: delivery && delivery.zone ? {
+          zone_id: delivery.zone.id,
+          name: delivery.zone.name,
+          minimum_order_amount: delivery.zone.minimum_order_amount,
+          eta_minutes: delivery.zone.eta_minutes,
+        } : null,
+        total_price: roundMoney(pricing.total + deliveryFee),
+      });
+    } catch (err) {
+      logger.error('Error computing order quote', { error: err.message, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to compute quote' });
+    }
+  });
+
   router.get('/orders', async (req, res) => {
     const sessionId = req.headers['x-session-id'] || req.sessionID;
     const timestamp = new Date().toISOString();
-    const { time_range, approved } = req.query;
 
     try {
       if (!req.user || !await checkAdminOrServer(req.user.id)) {
@@ -660,72 +469,51 @@ module.exports = (io) => {
         return res.status(403).json({ error: 'Admin or server access required' });
       }
 
-      let query = `
-        SELECT o.*, t.table_number,
-               GROUP_CONCAT(oi.item_id) AS item_ids,
-               GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-               GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-               GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-               GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-               GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-               GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-               GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-               GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-               GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-               GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-               GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
+      const filters = buildOrderFilters(req.query, req.user);
+      if (filters.error) {
+        logger.warn('Invalid order filters', { query: req.query, error: filters.error, sessionId, timestamp });
+        return res.status(400).json({ error: filters.error });
+      }
+      const { whereClauses, params, sort, direction, limit } = filters;
+      // Clients that ask for neither limit nor cursor keep the original unpaged `{ data }` answer
+      const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+
+      // Page over the bare orders first so the heavy detail joins only run for one page
+      let pageQuery = `
+        SELECT o.id, ${sort.value} AS sort_value
         FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        LEFT JOIN menu_items mi ON oi.item_id = mi.id
-        LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mi.id
-        LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-        LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-        LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
         LEFT JOIN tables t ON o.table_id = t.id
       `;
-      let queryParams = [];
-      let whereClauses = [];
-
-      if (time_range === 'hour') {
-        whereClauses.push('o.created_at >= NOW() - INTERVAL 1 HOUR');
-      } else if (time_range === 'day') {
-        whereClauses.push('o.created_at >= CURDATE()');
-      } else if (time_range === 'yesterday') {
-        whereClauses.push('o.created_at >= CURDATE() - INTERVAL 1 DAY AND o.created_at < CURDATE()');
-      } else if (time_range === 'week') {
-        whereClauses.push('o.created_at >= CURDATE() - INTERVAL 7 DAY');
-      } else if (time_range === 'month') {
-        whereClauses.push('o.created_at >= CURDATE() - INTERVAL 30 DAY');
-      }
-
-      if (approved === '1') {
-        whereClauses.push('o.approved = 1');
-      } else if (approved === '0') {
-        whereClauses.push('o.approved = 0');
-      }
-
-      if (req.user && req.user.role === 'server') {
-        whereClauses.push("o.session_id NOT LIKE 'staff-%'");
-      }
-
       if (whereClauses.length > 0) {
-        query += ' WHERE ' + whereClauses.join(' AND ');
+        pageQuery += ' WHERE ' + whereClauses.join(' AND ');
+      }
+      pageQuery += ` ORDER BY ${sort.column} ${direction}, o.id ${direction}`;
+      if (paginated) {
+        pageQuery += ' LIMIT ?';
       }
 
-      query += ' GROUP BY o.id ORDER BY o.created_at DESC';
-
-      const [rows] = await db.query(query, queryParams);
+      const [pageRows] = await db.query(pageQuery, paginated ? [...params, limit + 1] : params);
+      const hasMore = paginated && pageRows.length > limit;
+      const page = paginated ? pageRows.slice(0, limit) : pageRows;
 
-      const formattedRows = rows.map(row => ({
-        ...row,
-        approved: Number(row.approved),
-        status: row.status || 'pending',
-      }));
+      const orders = await fetchOrderDetailsList(db, page.map(row => row.id));
+      const formattedRows = orders.map(order => ({ ...order, status: order.status || 'pending' }));
+      const last = page[page.length - 1];
 
-      logger.info('Orders fetched successfully', { count: rows.length, time_range, approved, sessionId, timestamp });
-      res.json({ data: formattedRows });
+      logger.info('Orders fetched successfully', { count: formattedRows.length, hasMore, query: req.query, sessionId, timestamp });
+      if (!paginated) {
+        return res.json({ data: formattedRows });
+      }
+      res.json({
+        data: formattedRows,
+        pagination: {
+          limit,
+          has_more: hasMore,
+          next_cursor: hasMore && last ? encodeCursor(last.sort_value, last.id) : null,
+        },
+      });
     } catch (err) {
-      logger.error('Error fetching orders', { error: err.message, time_range, approved, sessionId, timestamp });
+      logger.error('Error fetching orders', { error: err.message, query: req.query, sessionId, timestamp });
       res.status(500).json({ error: 'Failed to fetch orders' });
     }
   });
@@ -742,51 +530,59 @@ module.exports = (io) => {
         return res.status(400).json({ error: 'Valid order ID required' });
       }
 
-      const [rows] = await db.query(`
-        SELECT o.*, t.table_number,
-               GROUP_CONCAT(oi.item_id) AS item_ids,
-               GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-               GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-               GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-               GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-               GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-               GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-               GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-               GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-               GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-               GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-               GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-        FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        LEFT JOIN menu_items mi ON oi.item_id = mi.id
-        LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mi.id
-        LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-        LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-        LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-        LEFT JOIN tables t ON o.table_id = t.id
-        WHERE o.id = ?
-        GROUP BY o.id
-      `, [orderId]);
+      const order = await fetchOrderDetails(db, orderId);
 
-      if (rows.length === 0) {
+      if (!order) {
         logger.warn('Order not found', { orderId, sessionId, timestamp });
         return res.status(404).json({ error: 'Order not found' });
       }
 
-      rows[0].approved = Number(rows[0].approved);
-      rows[0].status = rows[0].status || 'pending';
+      order.status = order.status || 'pending';
+
+      // Anyone with the id can track the order; contact details and the pickup code
+      // are only for staff and the session that placed it
+      const isOwner = Boolean(sessionId) && sessionId === order.session_id;
+      const isStaff = !isOwner && req.user && await checkAdminOrServer(req.user.id);
 
       logger.info('Order fetched successfully', { orderId, sessionId, timestamp });
-      res.json(rows[0]);
+      res.json(isOwner || isStaff ? order : publicOrderDetails(order));
     } catch (err) {
       logger.error('Error fetching order', { error: err.message, orderId: id, sessionId, timestamp });
       res.status(500).json({ error: 'Failed to fetch order' });
     }
   });
 
+  // Audit trail for an order: who created, approved, moved or cancelled it, and when
+  router.get('/orders/:id/events', async (req, res) => {
+    const { id } = req.params;
+    const timestamp = new Date().toISOString();
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to fetch order events', { authenticatedUser: req.user, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for events', { id, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      const [orderRows] = await db.query('SELECT id FROM orders WHERE id = ?', [orderId]);
+      if (orderRows.length === 0) {
+        logger.warn('Order not found for events', { orderId, timestamp });
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      const events = await fetchOrderEvents(db, orderId);
+      logger.info('Order events fetched', { orderId, count: events.length, userId: req.user.id, timestamp });
+      res.json({ data: events });
+    } catch (err) {
+      logger.error('Error fetching order events', { error: err.message, orderId: id, timestamp });
+      res.status(500).json({ error: 'Failed to fetch order events' });
+    }
+  });
+
   router.put('/orders/:id', async (req, res) => {
     const { id } = req.params;
-    const { approved } = req.body;
+    const { approved } = req.body || {};
     const sessionId = req.headers['x-session-id'] || req.sessionID;
     const timestamp = new Date().toISOString();
 
@@ -807,46 +603,60 @@ module.exports = (io) => {
         return res.status(400).json({ error: 'Invalid approved value' });
       }
 
+      if (approved === 1) {
+        // Approving here is the same as POST /orders/:id/approve: status check, stock and station tickets
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+          const [approval] = await approveOrders(connection, [orderId], { actorId: req.user.id });
+          if (!approval.ok) {
+            await connection.rollback();
+            logger.warn('Order approval rejected', { orderId, error: approval.error, sessionId, timestamp });
+            return res.status(approval.status).json({ error: approval.error });
+          }
+          const orderDetails = await fetchOrderDetails(connection, orderId);
+          await connection.commit();
+
+          const estimatedReadyAt = (await refreshOrderEtas(io)).get(orderId) || null;
+          await emitStationTickets(io, orderId);
+
+          const payload = { orderId: orderId.toString(), status: orderDetails.status || 'preparing', estimatedReadyAt, orderDetails };
+          io.to(`guest-${approval.order.session_id}`).emit('orderApproved', payload);
+          io.to('staff-notifications').emit('orderApproved', payload);
+
+          logger.info('Order status updated successfully', { orderId, approved, status: payload.status, sessionId, timestamp });
+          return res.status(200).json({ message: 'Order status updated' });
+        } catch (err) {
+          await connection.rollback();
+          logger.error('Error approving order in transaction', { error: err.message, orderId, sessionId, timestamp });
+          return res.status(500).json({ error: 'Failed to process order update' });
+        } finally {
+          connection.release();
+        }
+      }
+
       const [orderRows] = await db.query('SELECT session_id, approved, status FROM orders WHERE id = ?', [orderId]);
       if (orderRows.length === 0) {
         logger.warn('Order not found', { orderId, sessionId, timestamp });
         return res.status(404).json({ error: 'Order not found' });
       }
 
-      await db.query('UPDATE orders SET approved = ?, status = ? WHERE id = ?', [approved, approved ? 'preparing' : orderRows[0].status, orderId]);
-
-      const [orderDetails] = await db.query(`
-        SELECT o.*, t.table_number,
-               GROUP_CONCAT(oi.item_id) AS item_ids,
-               GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-               GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-               GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-               GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-               GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-               GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-               GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-               GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-               GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-               GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-               GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-        FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        LEFT JOIN menu_items mi ON oi.item_id = mi.id
-        LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mi.id
-        LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-        LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-        LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-        LEFT JOIN tables t ON o.table_id = t.id
-        WHERE o.id = ?
-        GROUP BY o.id
-      `, [orderId]);
+      // Withdrawing approval only clears the flag; the kitchen status is left as it is
+      await db.query('UPDATE orders SET approved = 0 WHERE id = ?', [orderId]);
+      await recordOrderEvent(db, orderId, 'unapproved', {
+        actorId: req.user.id,
+        fromStatus: orderRows[0].status,
+        toStatus: orderRows[0].status,
+        details: { previously_approved: Number(orderRows[0].approved) },
+      });
 
-      orderDetails[0].approved = Number(orderDetails[0].approved);
-      const derivedStatus = orderDetails[0].status || (orderDetails[0].approved ? 'preparing' : 'pending');
+      const orderDetails = await fetchOrderDetails(db, orderId);
+      const derivedStatus = orderDetails.status || 'pending';
 
       const guestSessionId = orderRows[0].session_id;
-      io.to(`guest-${guestSessionId}`).emit('orderApproved', { orderId: orderId.toString(), status: derivedStatus, orderDetails: orderDetails[0] });
-      io.to('staff-notifications').emit('orderApproved', { orderId: orderId.toString(), status: derivedStatus, orderDetails: orderDetails[0] });
+      io.to(`guest-${guestSessionId}`).emit('orderApproved', { orderId: orderId.toString(), status: derivedStatus, orderDetails });
+      io.to('staff-notifications').emit('orderApproved', { orderId: orderId.toString(), status: derivedStatus, orderDetails });
 
       logger.info('Order status updated successfully', { orderId, approved, status: derivedStatus, sessionId, timestamp });
       res.status(200).json({ message: 'Order status updated' });
@@ -856,238 +666,207 @@ module.exports = (io) => {
     }
   });
 
-  // FIXED: Order approval endpoint with idempotency and single stock deduction
-  router.post('/orders/:id/approve', async (req, res) => {
-    const { id } = req.params;
+  // Approve several orders in one transaction; each order succeeds or fails on its own
+  router.post('/orders/batch/approve', async (req, res) => {
     const timestamp = new Date().toISOString();
     const sessionId = req.headers['x-session-id'] || req.sessionID;
 
     try {
       if (!req.user || !await checkAdminOrServer(req.user.id)) {
-        logger.warn('Unauthorized attempt to approve order', { authenticatedUser: req.user, sessionId, timestamp });
+        logger.warn('Unauthorized attempt to batch approve orders', { authenticatedUser: req.user, sessionId, timestamp });
         return res.status(403).json({ error: 'Admin or server access required' });
       }
 
-      const orderId = parseInt(id);
-      if (isNaN(orderId) || orderId <= 0) {
-        logger.warn('Invalid order ID for approval', { id, sessionId, timestamp });
-        return res.status(400).json({ error: 'Valid order ID required' });
+      const orderIds = parseOrderIds(req.body.order_ids);
+      if (!orderIds) {
+        logger.warn('Invalid order IDs for batch approval', { order_ids: req.body.order_ids, sessionId, timestamp });
+        return res.status(400).json({ error: `order_ids must be a list of 1 to ${MAX_BATCH_ORDERS} valid order IDs` });
       }
 
       const connection = await db.getConnection();
       await connection.beginTransaction();
 
       try {
-        // CRITICAL FIX: Lock the order row and check status in a single atomic operation
-        const [orderRows] = await connection.query(
-          'SELECT id, session_id, approved, status FROM orders WHERE id = ? FOR UPDATE',
-          [orderId]
-        );
-
-        if (orderRows.length === 0) {
-          await connection.rollback();
-          logger.warn('Order not found for approval', { orderId, sessionId, timestamp });
-          return res.status(404).json({ error: 'Order not found' });
+        const approvals = await approveOrders(connection, orderIds, { actorId: req.user.id });
+        const approvedDetails = [];
+        for (const approval of approvals.filter(a => a.ok)) {
+          approvedDetails.push({ approval, orderDetails: await fetchOrderDetails(connection, approval.order_id) });
         }
 
-        const order = orderRows[0];
+        await connection.commit();
 
-        // CRITICAL FIX: Check if already approved (idempotency check)
-        if (order.approved && order.status !== 'cancelled') {
-          await connection.rollback();
-          logger.warn('Order already approved - preventing duplicate stock deduction', { 
-            orderId, 
-            currentStatus: order.status, 
-            sessionId, 
-            timestamp 
-          });
-          return res.status(400).json({ error: 'Order already approved' });
+        const estimates = approvedDetails.length > 0 ? await refreshOrderEtas(io) : new Map();
+        for (const { approval, orderDetails } of approvedDetails) {
+          const estimatedReadyAt = estimates.get(approval.order_id) || null;
+          const payload = { orderId: approval.order_id.toString(), status: orderDetails.status || 'preparing', estimatedReadyAt, orderDetails };
+          io.to(`guest-${approval.order.session_id}`).emit('orderApproved', payload);
+          io.to('staff-notifications').emit('orderApproved', payload);
+          await emitStationTickets(io, approval.order_id);
         }
 
-        // CRITICAL FIX: Check if stock deduction already occurred for this order
-        const [existingDeductions] = await connection.query(
-          'SELECT id FROM stock_transactions WHERE order_id = ? AND transaction_type = ? LIMIT 1',
-          [orderId, 'deduction']
-        );
-
-        if (existingDeductions.length > 0) {
-          await connection.rollback();
-          logger.warn('Stock already deducted for this order - preventing duplicate deduction', { 
-            orderId, 
-            sessionId, 
-            timestamp 
-          });
-          return res.status(400).json({ error: 'Stock already deducted for this order' });
-        }
+        const results = approvals.map(({ order_id, ok, error }) => (ok
+          ? { order_id, success: true, estimated_ready_at: estimates.get(order_id) || null }
+          : { order_id, success: false, error }));
+        logger.info('Batch approval processed', {
+          approved: approvedDetails.map(({ approval }) => approval.order_id),
+          failed: results.filter(r => !r.success),
+          userId: req.user.id,
+          sessionId,
+          timestamp
+        });
+        res.status(200).json({
+          message: 'Batch approval processed',
+          approved: approvedDetails.length,
+          failed: results.length - approvedDetails.length,
+          results,
+        });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error batch approving orders', { error: err.message, stack: err.stack, orderIds, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to approve orders' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error batch approving orders', { error: err.message, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to approve orders' });
+    }
+  });
 
-        // Fetch order items and breakfast options
-        const [orderItems] = await connection.query(
-          'SELECT item_id, breakfast_id, quantity, supplement_id FROM order_items WHERE order_id = ?',
-          [orderId]
-        );
+  // Cancel several orders; a savepoint per order keeps one failure from undoing the rest
+  router.post('/orders/batch/cancel', async (req, res) => {
+    const { restoreStock = false, reason } = req.body;
+    const timestamp = new Date().toISOString();
+    const sessionId = req.headers['x-session-id'] || req.sessionID;
+    const cancelReason = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 255) : null;
 
-        const [breakfastOptions] = await connection.query(
-          'SELECT boo.breakfast_option_id FROM breakfast_order_options boo JOIN order_items oi ON boo.order_item_id = oi.id WHERE oi.order_id = ?',
-          [orderId]
-        );
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to batch cancel orders', { authenticatedUser: req.user, sessionId, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
 
-        // Calculate required ingredients
-        const ingredientUsage = new Map();
+      const orderIds = parseOrderIds(req.body.order_ids);
+      if (!orderIds) {
+        logger.warn('Invalid order IDs for batch cancellation', { order_ids: req.body.order_ids, sessionId, timestamp });
+        return res.status(400).json({ error: `order_ids must be a list of 1 to ${MAX_BATCH_ORDERS} valid order IDs` });
+      }
 
-        for (const item of orderItems) {
-          const { item_id, breakfast_id, quantity, supplement_id } = item;
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
 
-          // Process menu items
-          if (item_id) {
-            const [menuItemIngredients] = await connection.query(
-              'SELECT ingredient_id, quantity AS ingredient_quantity FROM menu_item_ingredients WHERE menu_item_id = ?',
-              [item_id]
-            );
-            for (const ing of menuItemIngredients) {
-              const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-              ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-            }
+      try {
+        const results = [];
+        const cancelled = [];
+        // Lock in id order so concurrent batches cannot deadlock each other
+        for (const orderId of [...orderIds].sort((a, b) => a - b)) {
+          await connection.query('SAVEPOINT batch_cancel_order');
+          const result = await cancelOrder(connection, orderId, { actorId: req.user.id, reason: cancelReason, restoreStock });
+          if (result.error) {
+            await connection.query('ROLLBACK TO SAVEPOINT batch_cancel_order');
+            results.push({ order_id: orderId, success: false, error: result.error });
+            continue;
           }
+          cancelled.push({ ...result, orderDetails: await fetchOrderDetails(connection, orderId) });
+          results.push({ order_id: orderId, success: true });
+        }
 
-          // Process supplements
-          if (supplement_id) {
-            const [supplementIngredients] = await connection.query(
-              'SELECT ingredient_id, quantity AS ingredient_quantity FROM supplement_ingredients WHERE supplement_id = ?',
-              [supplement_id]
-            );
-            for (const ing of supplementIngredients) {
-              const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-              ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-            }
-          }
+        await connection.commit();
 
-          // Process breakfasts
-          if (breakfast_id) {
-            const [breakfastIngredients] = await connection.query(
-              'SELECT ingredient_id, quantity AS ingredient_quantity FROM breakfast_ingredients WHERE breakfast_id = ?',
-              [breakfast_id]
-            );
-            for (const ing of breakfastIngredients) {
-              const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-              ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-            }
+        for (const { order, releasedTableIds, orderDetails } of cancelled) {
+          const payload = { orderId: order.id.toString(), status: orderDetails.status || 'cancelled', reason: cancelReason, orderDetails };
+          io.to(`guest-${order.session_id}`).emit('orderCancelled', payload);
+          io.to('staff-notifications').emit('orderCancelled', payload);
+          for (const tableId of releasedTableIds) {
+            io.emit('tableStatusUpdate', { table_id: tableId, status: 'available', table_session_id: order.table_session_id });
           }
+          await emitStationTickets(io, order.id);
         }
-
-        // Process breakfast options
-        for (const option of breakfastOptions) {
-          const [optionIngredients] = await connection.query(
-            'SELECT ingredient_id, quantity AS ingredient_quantity FROM breakfast_option_ingredients WHERE breakfast_option_id = ?',
-            [option.breakfast_option_id]
-          );
-          for (const ing of optionIngredients) {
-            const totalQuantity = parseFloat(ing.ingredient_quantity);
-            ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-          }
+        if (cancelled.some(({ order }) => order.status === 'preparing')) {
+          await refreshOrderEtas(io);
         }
 
-        // Check stock availability and update (SINGLE ATOMIC OPERATION PER INGREDIENT)
-        for (const [ingredientId, requiredQuantity] of ingredientUsage) {
-          const [stock] = await connection.query(
-            'SELECT name, quantity_in_stock FROM ingredients WHERE id = ? FOR UPDATE',
-            [ingredientId]
-          );
+        // Report in the order the ids were requested
+        const ordered = orderIds.map(orderId => results.find(r => r.order_id === orderId));
+        logger.info('Batch cancellation processed', {
+          cancelled: cancelled.map(({ order }) => order.id),
+          failed: ordered.filter(r => !r.success),
+          restoreStock,
+          userId: req.user.id,
+          sessionId,
+          timestamp
+        });
+        res.status(200).json({
+          message: 'Batch cancellation processed',
+          cancelled: cancelled.length,
+          failed: ordered.length - cancelled.length,
+          results: ordered,
+        });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error batch cancelling orders', { error: err.message, orderIds, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to cancel orders' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error batch cancelling orders', { error: err.message, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to cancel orders' });
+    }
+  });
 
-          if (stock.length === 0) {
-            await connection.rollback();
-            logger.warn('Ingredient not found', { ingredientId, orderId, sessionId, timestamp });
-            return res.status(400).json({ error: `Ingredient ID ${ingredientId} not found` });
-          }
+  // FIXED: Order approval endpoint with idempotency and single stock deduction
+  router.post('/orders/:id/approve', async (req, res) => {
+    const { id } = req.params;
+    const timestamp = new Date().toISOString();
+    const sessionId = req.headers['x-session-id'] || req.sessionID;
 
-          const availableStock = parseFloat(stock[0].quantity_in_stock);
-          if (availableStock < requiredQuantity) {
-            await connection.rollback();
-            logger.warn('Insufficient stock', {
-              ingredientId,
-              ingredientName: stock[0].name,
-              required: requiredQuantity,
-              available: availableStock,
-              orderId,
-              sessionId,
-              timestamp
-            });
-            return res.status(400).json({
-              error: `Insufficient stock for ${stock[0].name}. Required: ${requiredQuantity}, Available: ${availableStock}`
-            });
-          }
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to approve order', { authenticatedUser: req.user, sessionId, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
 
-          // SINGLE UPDATE: Deduct stock in one operation
-          const newQuantity = availableStock - requiredQuantity;
-          await connection.query(
-            'UPDATE ingredients SET quantity_in_stock = ?, updated_at = NOW() WHERE id = ?',
-            [newQuantity, ingredientId]
-          );
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for approval', { id, sessionId, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
 
-          // SINGLE INSERT: Record transaction for audit trail
-          await connection.query(
-            'INSERT INTO stock_transactions (ingredient_id, quantity, transaction_type, order_id, reason) VALUES (?, ?, ?, ?, ?)',
-            [ingredientId, -requiredQuantity, 'deduction', orderId, 'Order approval']
-          );
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
 
-          logger.debug('Stock deducted for ingredient', {
-            ingredientId,
-            ingredientName: stock[0].name,
-            deducted: requiredQuantity,
-            previousStock: availableStock,
-            newStock: newQuantity,
-            orderId,
-            timestamp
-          });
+      try {
+        // Locks the order, refuses a second approval or deduction, then deducts stock once
+        const [approval] = await approveOrders(connection, [orderId], { actorId: req.user.id });
+        if (!approval.ok) {
+          await connection.rollback();
+          logger.warn('Order approval rejected', { orderId, error: approval.error, sessionId, timestamp });
+          return res.status(approval.status).json({ error: approval.error });
         }
-
-        // Update order status (SINGLE UPDATE)
-        await connection.query(
-          'UPDATE orders SET approved = 1, status = ? WHERE id = ?',
-          ['preparing', orderId]
-        );
+        const { order, ingredientUsage } = approval;
 
         // Fetch updated order details
-        const [orderDetails] = await connection.query(`
-          SELECT o.*, t.table_number,
-                 GROUP_CONCAT(oi.item_id) AS item_ids,
-                 GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-                 GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-                 GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-                 GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-                 GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-                 GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-                 GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-                 GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-                 GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-                 GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-                 GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-          FROM orders o
-          LEFT JOIN order_items oi ON o.id = oi.order_id
-          LEFT JOIN menu_items mi ON oi.item_id = mi.id
-          LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
-          LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-          LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-          LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-          LEFT JOIN tables t ON o.table_id = t.id
-          WHERE o.id = ?
-          GROUP BY o.id
-        `, [orderId]);
-
-        orderDetails[0].approved = Number(orderDetails[0].approved);
-        const derivedStatus = orderDetails[0].status || 'preparing';
+        const orderDetails = await fetchOrderDetails(connection, orderId);
+        const derivedStatus = orderDetails.status || 'preparing';
 
         await connection.commit();
 
+        const estimatedReadyAt = (await refreshOrderEtas(io)).get(orderId) || null;
+        await emitStationTickets(io, orderId);
+
         const guestSessionId = order.session_id;
         io.to(`guest-${guestSessionId}`).emit('orderApproved', {
           orderId: orderId.toString(),
           status: derivedStatus,
-          orderDetails: orderDetails[0]
+          estimatedReadyAt,
+          orderDetails
         });
         io.to('staff-notifications').emit('orderApproved', {
           orderId: orderId.toString(),
           status: derivedStatus,
-          orderDetails: orderDetails[0]
+          estimatedReadyAt,
+          orderDetails
         });
 
         logger.info('Order approved successfully with single stock deduction', {
@@ -1098,7 +877,7 @@ module.exports = (io) => {
           timestamp
         });
 
-        res.status(200).json({ message: 'Order approved' });
+        res.status(200).json({ message: 'Order approved', estimated_ready_at: estimatedReadyAt });
       } catch (err) {
         await connection.rollback();
         logger.error('Error approving order with stock deduction', {
@@ -1120,9 +899,10 @@ module.exports = (io) => {
 
   router.post('/orders/:id/cancel', async (req, res) => {
     const { id } = req.params;
-    const { restoreStock = false } = req.body;
+    const { restoreStock = false, reason } = req.body;
     const timestamp = new Date().toISOString();
     const sessionId = req.headers['x-session-id'] || req.sessionID;
+    const cancelReason = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 255) : null;
 
     try {
       if (!req.user || !await checkAdminOrServer(req.user.id)) {
@@ -1139,200 +919,500 @@ module.exports = (io) => {
       await connection.beginTransaction();
 
       try {
-        // CRITICAL FIX: Lock order row to prevent race conditions
+        const result = await cancelOrder(connection, orderId, { actorId: req.user.id, reason: cancelReason, restoreStock });
+        if (result.error) {
+          await connection.rollback();
+          logger.warn('Order cancellation rejected', { orderId, error: result.error, sessionId, timestamp });
+          return res.status(result.status).json({ error: result.error });
+        }
+        const { order, ingredientUsage, releasedTableIds } = result;
+
+        const orderDetails = await fetchOrderDetails(connection, orderId);
+        const derivedStatus = orderDetails.status || 'cancelled';
+
+        await connection.commit();
+
+        const guestSessionId = order.session_id;
+        io.to(`guest-${guestSessionId}`).emit('orderCancelled', { orderId: orderId.toString(), status: derivedStatus, reason: cancelReason, orderDetails });
+        io.to('staff-notifications').emit('orderCancelled', { orderId: orderId.toString(), status: derivedStatus, reason: cancelReason, orderDetails });
+        for (const tableId of releasedTableIds) {
+          io.emit('tableStatusUpdate', { table_id: tableId, status: 'available', table_session_id: order.table_session_id });
+        }
+        await emitStationTickets(io, orderId);
+        if (order.status === 'preparing') {
+          await refreshOrderEtas(io);
+        }
+
+        logger.info('Order cancelled successfully', {
+          orderId,
+          restoreStock,
+          ingredientUsage: ingredientUsage ? Object.fromEntries(ingredientUsage) : null,
+          releasedTableIds,
+          guestSessionId,
+          sessionId,
+          timestamp
+        });
+        res.status(200).json({ message: 'Order cancelled' });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error cancelling order with stock restoration', { error: err.message, orderId, restoreStock, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to cancel order' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error cancelling order', { error: err.message, orderId: id, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to cancel order' });
+    }
+  });
+
+  // Shared flow for staff edits to the lines of an order that has not been delivered yet:
+  // lock it, apply the change, re-total it and, once approved, settle the stock difference
+  const EDITABLE_STATUSES = ['pending', 'received', 'preparing', 'ready'];
+  const editOrderLines = async (req, res, action, applyChange) => {
+    const { id } = req.params;
+    const timestamp = new Date().toISOString();
+    const sessionId = req.headers['x-session-id'] || req.sessionID;
+
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to edit order lines', { authenticatedUser: req.user, action, sessionId, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for line edit', { id, action, sessionId, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      try {
         const [orderRows] = await connection.query(
-          'SELECT id, session_id, status, approved FROM orders WHERE id = ? FOR UPDATE',
+          'SELECT id, session_id, status, approved, total_price FROM orders WHERE id = ? FOR UPDATE',
           [orderId]
         );
-
         if (orderRows.length === 0) {
           await connection.rollback();
-          logger.warn('Order not found for cancellation', { orderId, sessionId, timestamp });
+          logger.warn('Order not found for line edit', { orderId, action, sessionId, timestamp });
           return res.status(404).json({ error: 'Order not found' });
         }
+        const order = orderRows[0];
+        const currentStatus = order.status || 'pending';
+        if (!EDITABLE_STATUSES.includes(currentStatus)) {
+          await connection.rollback();
+          logger.warn('Order lines not editable', { orderId, status: currentStatus, action, sessionId, timestamp });
+          return res.status(400).json({ error: `Cannot edit lines of a ${currentStatus} order` });
+        }
 
-        if (orderRows[0].status === 'cancelled') {
+        const usageBefore = order.approved ? await computeIngredientUsage(connection, orderId) : null;
+
+        const change = await applyChange(connection, orderId, { sessionId, timestamp });
+        if (change.error) {
           await connection.rollback();
-          logger.warn('Order already cancelled', { orderId, sessionId, timestamp });
-          return res.status(400).json({ error: 'Order already cancelled' });
+          logger.warn('Order line edit rejected', { orderId, action, error: change.error, sessionId, timestamp });
+          return res.status(change.status || 400).json({ error: change.error });
         }
 
-        let ingredientUsage = null;
+        const [lineCount] = await connection.query('SELECT COUNT(*) AS count FROM order_items WHERE order_id = ? AND quantity > 0', [orderId]);
+        if (lineCount[0].count === 0) {
+          await connection.rollback();
+          logger.warn('Line edit would empty order', { orderId, action, sessionId, timestamp });
+          return res.status(400).json({ error: 'An order must keep at least one line; cancel it instead' });
+        }
 
-        // Only attempt restoration if requested and order was previously approved
-        if (restoreStock === true && orderRows[0].approved) {
-          // CRITICAL FIX: Prevent double restoration
-          const [existingRestorations] = await connection.query(
-            'SELECT id FROM stock_transactions WHERE order_id = ? AND reason = ? LIMIT 1',
-            [orderId, 'Order cancellation stock restoration']
-          );
-          if (existingRestorations.length > 0) {
+        const previousTotal = parseFloat(order.total_price);
+        const total = await recalculateOrderTotal(connection, orderId);
+
+        let stockDelta = null;
+        if (order.approved) {
+          const usageAfter = await computeIngredientUsage(connection, orderId);
+          const stockResult = await applyStockDelta(connection, orderId, usageBefore, usageAfter);
+          if (stockResult.error) {
             await connection.rollback();
-            logger.warn('Stock already restored for order', { orderId, sessionId, timestamp });
-            return res.status(400).json({ error: 'Stock already restored for this order' });
+            logger.warn('Stock check failed for line edit', { orderId, action, error: stockResult.error, sessionId, timestamp });
+            return res.status(400).json({ error: stockResult.error });
           }
+          stockDelta = Object.fromEntries(stockResult.delta);
+        }
 
-          // Verify a deduction actually occurred
-          const [deductionsExist] = await connection.query(
-            'SELECT id FROM stock_transactions WHERE order_id = ? AND transaction_type = ? LIMIT 1',
-            [orderId, 'deduction']
-          );
+        // New or larger lines reopen the station that already finished its part
+        const stationChanges = order.approved
+          ? await syncStationTickets(connection, orderId, { reopenLineIds: change.reopenLineIds || [] })
+          : null;
 
-          if (deductionsExist.length === 0) {
-            logger.warn('No prior deduction found for order; skipping stock restoration', { orderId, sessionId, timestamp });
-          } else {
-            // Recompute ingredient usage
-            ingredientUsage = new Map();
-            const [orderItems] = await connection.query(
-              'SELECT item_id, breakfast_id, quantity, supplement_id FROM order_items WHERE order_id = ?',
-              [orderId]
-            );
-            const [breakfastOptions] = await connection.query(
-              'SELECT boo.breakfast_option_id FROM breakfast_order_options boo JOIN order_items oi ON boo.order_item_id = oi.id WHERE oi.order_id = ?',
-              [orderId]
-            );
+        await recordOrderEvent(connection, orderId, 'lines_changed', {
+          actorId: req.user.id,
+          details: { action, ...change.details, previous_total: previousTotal, total_price: total, stock_delta: stockDelta },
+        });
 
-            for (const item of orderItems) {
-              const { item_id, breakfast_id, quantity, supplement_id } = item;
-
-              if (item_id) {
-                const [menuItemIngredients] = await connection.query(
-                  'SELECT ingredient_id, quantity AS ingredient_quantity FROM menu_item_ingredients WHERE menu_item_id = ?',
-                  [item_id]
-                );
-                for (const ing of menuItemIngredients) {
-                  const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-                  ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-                }
-              }
-
-              if (supplement_id) {
-                const [supplementIngredients] = await connection.query(
-                  'SELECT ingredient_id, quantity AS ingredient_quantity FROM supplement_ingredients WHERE supplement_id = ?',
-                  [supplement_id]
-                );
-                for (const ing of supplementIngredients) {
-                  const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-                  ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-                }
-              }
-
-              if (breakfast_id) {
-                const [breakfastIngredients] = await connection.query(
-                  'SELECT ingredient_id, quantity AS ingredient_quantity FROM breakfast_ingredients WHERE breakfast_id = ?',
-                  [breakfast_id]
-                );
-                for (const ing of breakfastIngredients) {
-                  const totalQuantity = parseFloat(ing.ingredient_quantity) * quantity;
-                  ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-                }
-              }
-            }
-
-            for (const option of breakfastOptions) {
-              const [optionIngredients] = await connection.query(
-                'SELECT ingredient_id, quantity AS ingredient_quantity FROM breakfast_option_ingredients WHERE breakfast_option_id = ?',
-                [option.breakfast_option_id]
-              );
-              for (const ing of optionIngredients) {
-                const totalQuantity = parseFloat(ing.ingredient_quantity);
-                ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
-              }
-            }
-
-            // Perform restoration
-            for (const [ingredientId, qtyToRestore] of ingredientUsage) {
-              const [stockRows] = await connection.query(
-                'SELECT id, name, quantity_in_stock FROM ingredients WHERE id = ? FOR UPDATE',
-                [ingredientId]
-              );
-              if (stockRows.length === 0) {
-                await connection.rollback();
-                logger.warn('Ingredient not found during restoration', { ingredientId, orderId, sessionId, timestamp });
-                return res.status(400).json({ error: `Ingredient ID ${ingredientId} not found during restoration` });
-              }
-              const currentQty = parseFloat(stockRows[0].quantity_in_stock);
-              const newQty = currentQty + parseFloat(qtyToRestore);
-              await connection.query(
-                'UPDATE ingredients SET quantity_in_stock = ?, updated_at = NOW() WHERE id = ?',
-                [newQty, ingredientId]
-              );
-
-              await connection.query(
-                'INSERT INTO stock_transactions (ingredient_id, quantity, transaction_type, order_id, reason) VALUES (?, ?, ?, ?, ?)',
-                [ingredientId, qtyToRestore, 'addition', orderId, 'Order cancellation stock restoration']
-              );
-
-              logger.debug('Stock restored for ingredient', {
-                ingredientId,
-                ingredientName: stockRows[0].name,
-                restored: qtyToRestore,
-                previousStock: currentQty,
-                newStock: newQty,
-                orderId,
-                timestamp
-              });
-            }
-          }
+        // A ready order with new station work goes back to the kitchen, otherwise
+        // its pending tickets would never reach a station display
+        let nextStatus = currentStatus;
+        let statusRows = null;
+        if (currentStatus === 'ready' && stationChanges && (stationChanges.created.length > 0 || stationChanges.reopened.length > 0)) {
+          nextStatus = 'preparing';
+          await connection.query("UPDATE orders SET status = 'preparing', status_updated_at = NOW() WHERE id = ?", [orderId]);
+          await recordOrderEvent(connection, orderId, 'status_changed', {
+            actorId: req.user.id,
+            fromStatus: 'ready',
+            toStatus: 'preparing',
+            details: { via: 'lines_changed' },
+          });
+          [statusRows] = await connection.query('SELECT status_updated_at, ready_at, delivered_at FROM orders WHERE id = ?', [orderId]);
         }
 
-        // Update order status
-        await connection.query('UPDATE orders SET status = ?, approved = 0 WHERE id = ?', ['cancelled', orderId]);
-
-        const [orderDetails] = await connection.query(`
-          SELECT o.*, t.table_number,
-                 GROUP_CONCAT(oi.item_id) AS item_ids,
-                 GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-                 GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-                 GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-                 GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-                 GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-                 GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-                 GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-                 GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-                 GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-                 GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-                 GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-          FROM orders o
-          LEFT JOIN order_items oi ON o.id = oi.order_id
-          LEFT JOIN menu_items mi ON oi.item_id = mi.id
-          LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mi.id
-          LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-          LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-          LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-          LEFT JOIN tables t ON o.table_id = t.id
-          WHERE o.id = ?
-          GROUP BY o.id
-        `, [orderId]);
-
-        orderDetails[0].approved = Number(orderDetails[0].approved);
-        const derivedStatus = orderDetails[0].status || 'cancelled';
-
+        const orderDetails = await fetchOrderDetails(connection, orderId);
         await connection.commit();
 
-        const guestSessionId = orderRows[0].session_id;
-        io.to(`guest-${guestSessionId}`).emit('orderCancelled', { orderId: orderId.toString(), status: derivedStatus, orderDetails: orderDetails[0] });
-        io.to('staff-notifications').emit('orderCancelled', { orderId: orderId.toString(), status: derivedStatus, orderDetails: orderDetails[0] });
+        const payload = { orderId: orderId.toString(), status: nextStatus, orderDetails };
+        io.to(`guest-${order.session_id}`).emit('orderUpdated', payload);
+        io.to('staff-notifications').emit('orderUpdated', payload);
+        if (statusRows) {
+          const statusPayload = {
+            orderId: orderId.toString(),
+            status: nextStatus,
+            previousStatus: currentStatus,
+            updatedAt: statusRows[0].status_updated_at,
+            readyAt: statusRows[0].ready_at,
+            deliveredAt: statusRows[0].delivered_at,
+          };
+          io.to(`guest-${order.session_id}`).emit('orderStatusUpdate', statusPayload);
+          io.to('staff-notifications').emit('orderStatusUpdate', statusPayload);
+        }
+        if (stationChanges) {
+          await emitStationTickets(io, orderId, { removedStationIds: stationChanges.removed });
+        }
+        if (nextStatus === 'preparing') {
+          await refreshOrderEtas(io);
+        }
 
-        logger.info('Order cancelled successfully', {
-          orderId,
+        logger.info('Order lines edited', { orderId, action, ...change.details, previousTotal, total, stockDelta, status: nextStatus, userId: req.user.id, sessionId, timestamp });
+        res.status(200).json({ message: 'Order updated', total_price: total, orderDetails });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error editing order lines in transaction', { error: err.message, orderId, action, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to update order' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error editing order lines', { error: err.message, orderId: id, action, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to update order' });
+    }
+  };
+
+  // Lines already settled through a line-item payment cannot change under the guest
+  const findPaidLine = async (connection, lineId) => {
+    const [paid] = await connection.query('SELECT payment_id FROM payment_items WHERE order_item_id = ? LIMIT 1', [lineId]);
+    return paid.length > 0;
+  };
+
+  // Add lines, priced with the same rules as POST /orders
+  router.post('/orders/:id/items', (req, res) => editOrderLines(req, res, 'add', async (connection, orderId, logContext) => {
+    const { items, breakfastItems } = req.body;
+    if (!items?.length && !breakfastItems?.length) {
+      return { error: 'Items or breakfast items array is required and non-empty' };
+    }
+    const pricing = await priceOrder({ items, breakfastItems }, { checkUnitPrices: false, logContext });
+    if (pricing.error) {
+      return { error: pricing.error };
+    }
+    const addedIds = await insertOrderLines(connection, orderId, pricing);
+    return { details: { added: addedIds }, reopenLineIds: addedIds };
+  }));
+
+  // Change the quantity of one line
+  router.put('/orders/:id/items/:itemId', (req, res) => editOrderLines(req, res, 'update', async (connection, orderId) => {
+    const lineId = parseInt(req.params.itemId);
+    const quantity = parseInt(req.body.quantity);
+    if (isNaN(lineId) || lineId <= 0) {
+      return { error: 'Valid order line ID required' };
+    }
+    if (isNaN(quantity) || quantity <= 0) {
+      return { error: 'Quantity must be a positive integer' };
+    }
+    const [lines] = await connection.query(
+      'SELECT id, item_name, quantity FROM order_items WHERE id = ? AND order_id = ? AND quantity > 0 FOR UPDATE',
+      [lineId, orderId]
+    );
+    if (lines.length === 0) {
+      return { status: 404, error: 'Order line not found' };
+    }
+    if (await findPaidLine(connection, lineId)) {
+      return { error: `Order line ${lineId} has already been paid` };
+    }
+    await connection.query('UPDATE order_items SET quantity = ? WHERE id = ?', [quantity, lineId]);
+    return {
+      details: { order_item_id: lineId, item_name: lines[0].item_name, previous_quantity: lines[0].quantity, quantity },
+      reopenLineIds: quantity > lines[0].quantity ? [lineId] : [],
+    };
+  }));
+
+  // Remove one line
+  router.delete('/orders/:id/items/:itemId', (req, res) => editOrderLines(req, res, 'remove', async (connection, orderId) => {
+    const lineId = parseInt(req.params.itemId);
+    if (isNaN(lineId) || lineId <= 0) {
+      return { error: 'Valid order line ID required' };
+    }
+    const [lines] = await connection.query(
+      'SELECT id, item_name, quantity, unit_price FROM order_items WHERE id = ? AND order_id = ? AND quantity > 0 FOR UPDATE',
+      [lineId, orderId]
+    );
+    if (lines.length === 0) {
+      return { status: 404, error: 'Order line not found' };
+    }
+    if (await findPaidLine(connection, lineId)) {
+      return { error: `Order line ${lineId} has already been paid` };
+    }
+    await connection.query('DELETE FROM order_items WHERE id = ?', [lineId]);
+    return { details: { order_item_id: lineId, item_name: lines[0].item_name, quantity: lines[0].quantity, unit_price: parseFloat(lines[0].unit_price) } };
+  }));
+
+  // Void some or all units of one line (spilled, refused...), optionally putting its recipe back in stock
+  router.post('/orders/:id/items/:itemId/void', async (req, res) => {
+    const { id, itemId } = req.params;
+    const { quantity, reason, restoreStock = false, refund_tender } = req.body;
+    const timestamp = new Date().toISOString();
+    const sessionId = req.headers['x-session-id'] || req.sessionID;
+    const voidReason = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 255) : null;
+
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to void order line', { authenticatedUser: req.user, sessionId, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      const lineId = parseInt(itemId);
+      if (isNaN(orderId) || orderId <= 0 || isNaN(lineId) || lineId <= 0) {
+        logger.warn('Invalid IDs for line void', { id, itemId, sessionId, timestamp });
+        return res.status(400).json({ error: 'Valid order ID and order line ID required' });
+      }
+      if (!voidReason) {
+        logger.warn('Missing reason for line void', { orderId, lineId, sessionId, timestamp });
+        return res.status(400).json({ error: 'A reason is required to void an order line' });
+      }
+
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const result = await voidOrderLine(connection, orderId, lineId, {
+          quantity,
+          reason: voidReason,
           restoreStock,
-          ingredientUsage: ingredientUsage ? Object.fromEntries(ingredientUsage) : null,
-          guestSessionId,
-          sessionId,
-          timestamp
+          refundTender: refund_tender || null,
+          actorId: req.user.id,
         });
-        res.status(200).json({ message: 'Order cancelled' });
+        if (result.error) {
+          await connection.rollback();
+          logger.warn('Order line void rejected', { orderId, lineId, error: result.error, sessionId, timestamp });
+          return res.status(result.status).json({ error: result.error });
+        }
+        const { order, total, refund } = result;
+        const stationChanges = order.approved ? await syncStationTickets(connection, orderId) : null;
+
+        const orderDetails = await fetchOrderDetails(connection, orderId);
+        await connection.commit();
+
+        const payload = { orderId: orderId.toString(), status: order.status, void: result.void, orderDetails };
+        io.to(`guest-${order.session_id}`).emit('orderUpdated', payload);
+        io.to('staff-notifications').emit('orderUpdated', payload);
+        if (stationChanges) {
+          await emitStationTickets(io, orderId, { removedStationIds: stationChanges.removed });
+        }
+        if (order.status === 'preparing') {
+          await refreshOrderEtas(io);
+        }
+
+        logger.info('Order line voided', { orderId, lineId, ...result.void, total, refund, userId: req.user.id, sessionId, timestamp });
+        res.status(200).json({ message: 'Order line voided', void: result.void, total_price: total, refund, orderDetails });
       } catch (err) {
         await connection.rollback();
-        logger.error('Error cancelling order with stock restoration', { error: err.message, orderId, restoreStock, sessionId, timestamp });
-        res.status(500).json({ error: 'Failed to cancel order' });
+        logger.error('Error voiding order line in transaction', { error: err.message, orderId, lineId, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to void order line' });
       } finally {
         connection.release();
       }
     } catch (err) {
-      logger.error('Error cancelling order', { error: err.message, orderId: id, sessionId, timestamp });
-      res.status(500).json({ error: 'Failed to cancel order' });
+      logger.error('Error voiding order line', { error: err.message, orderId: id, itemId, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to void order line' });
+    }
+  });
+
+  router.put('/orders/:id/status', async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+    const timestamp = new Date().toISOString();
+    const sessionId = req.headers['x-session-id'] || req.sessionID;
+
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to update order status', { authenticatedUser: req.user, sessionId, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for status update', { id, sessionId, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+
+      if (!KITCHEN_STATUSES.includes(status)) {
+        logger.warn('Invalid target status', { orderId, status, sessionId, timestamp });
+        return res.status(400).json({ error: `Status must be one of: ${KITCHEN_STATUSES.join(', ')}` });
+      }
+
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const [orderRows] = await connection.query(
+          'SELECT id, session_id, status, approved FROM orders WHERE id = ? FOR UPDATE',
+          [orderId]
+        );
+
+        if (orderRows.length === 0) {
+          await connection.rollback();
+          logger.warn('Order not found for status update', { orderId, sessionId, timestamp });
+          return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const previousStatus = orderRows[0].status || 'pending';
+
+        // Pending orders must go through /approve so stock gets deducted exactly once
+        if (!orderRows[0].approved || !canTransition(previousStatus, status)) {
+          await connection.rollback();
+          logger.warn('Illegal order status transition', { orderId, from: previousStatus, to: status, approved: orderRows[0].approved, sessionId, timestamp });
+          return res.status(400).json({ error: `Cannot change order status from ${previousStatus} to ${status}` });
+        }
+
+        const updates = ['status = ?', 'status_updated_at = NOW()'];
+        if (status === 'ready') {
+          updates.push('ready_at = NOW()');
+        } else if (status === 'delivered') {
+          updates.push('delivered_at = NOW()');
+        }
+        await connection.query(`UPDATE orders SET ${updates.join(', ')} WHERE id = ?`, [status, orderId]);
+        await recordOrderEvent(connection, orderId, 'status_changed', {
+          actorId: req.user.id,
+          fromStatus: previousStatus,
+          toStatus: status,
+        });
+        // Marking the whole order ready by hand also clears it from every station display
+        if (status === 'ready') {
+          await connection.query(
+            "UPDATE order_station_tickets SET status = 'done', completed_at = NOW(), completed_by = ? WHERE order_id = ? AND status = 'pending'",
+            [req.user.id, orderId]
+          );
+        }
+
+        const [updatedRows] = await connection.query(
+          'SELECT status_updated_at, ready_at, delivered_at FROM orders WHERE id = ?',
+          [orderId]
+        );
+
+        await connection.commit();
+
+        const payload = {
+          orderId: orderId.toString(),
+          status,
+          previousStatus,
+          updatedAt: updatedRows[0].status_updated_at,
+          readyAt: updatedRows[0].ready_at,
+          deliveredAt: updatedRows[0].delivered_at,
+        };
+        const guestSessionId = orderRows[0].session_id;
+        io.to(`guest-${guestSessionId}`).emit('orderStatusUpdate', payload);
+        io.to('staff-notifications').emit('orderStatusUpdate', payload);
+        await emitStationTickets(io, orderId);
+        // Orders entering or leaving the kitchen move everyone else's ETA
+        if (previousStatus === 'preparing' || status === 'preparing') {
+          await refreshOrderEtas(io);
+        }
+
+        logger.info('Order status transitioned', { orderId, from: previousStatus, to: status, userId: req.user.id, guestSessionId, timestamp });
+        res.status(200).json({ message: 'Order status updated', ...payload });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error updating order status in transaction', { error: err.message, orderId, status, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to update order status' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error updating order status', { error: err.message, orderId: id, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to update order status' });
+    }
+  });
+
+  // A preparation station finished its part; the order is ready once every station has
+  router.post('/orders/:id/stations/:stationId/done', async (req, res) => {
+    const { id, stationId: rawStationId } = req.params;
+    const timestamp = new Date().toISOString();
+    const sessionId = req.headers['x-session-id'] || req.sessionID;
+
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to complete station ticket', { authenticatedUser: req.user, sessionId, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      const stationId = parseInt(rawStationId);
+      if (isNaN(orderId) || orderId <= 0 || isNaN(stationId) || stationId <= 0) {
+        logger.warn('Invalid IDs for station ticket', { id, stationId: rawStationId, sessionId, timestamp });
+        return res.status(400).json({ error: 'Valid order ID and station ID required' });
+      }
+
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const result = await completeStationTicket(connection, orderId, stationId, req.user.id);
+        if (result.error) {
+          await connection.rollback();
+          logger.warn('Station ticket completion rejected', { orderId, stationId, error: result.error, sessionId, timestamp });
+          return res.status(result.status).json({ error: result.error });
+        }
+        const { order, orderReady } = result;
+
+        const [updatedRows] = await connection.query(
+          'SELECT status, status_updated_at, ready_at, delivered_at FROM orders WHERE id = ?',
+          [orderId]
+        );
+
+        await connection.commit();
+
+        await emitStationTickets(io, orderId);
+        io.to('staff-notifications').emit('stationTicketDone', { orderId: orderId.toString(), stationId, orderReady });
+        if (orderReady) {
+          const payload = {
+            orderId: orderId.toString(),
+            status: 'ready',
+            previousStatus: 'preparing',
+            updatedAt: updatedRows[0].status_updated_at,
+            readyAt: updatedRows[0].ready_at,
+            deliveredAt: updatedRows[0].delivered_at,
+          };
+          io.to(`guest-${order.session_id}`).emit('orderStatusUpdate', payload);
+          io.to('staff-notifications').emit('orderStatusUpdate', payload);
+          await refreshOrderEtas(io);
+        }
+
+        logger.info('Station ticket completed', { orderId, stationId, orderReady, userId: req.user.id, sessionId, timestamp });
+        res.status(200).json({ message: 'Station ticket completed', order_ready: orderReady, status: updatedRows[0].status });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error completing station ticket in transaction', { error: err.message, orderId, stationId, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to complete station ticket' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error completing station ticket', { error: err.message, orderId: id, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to complete station ticket' });
     }
   });
 
@@ -0,0 +1,384 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { roundMoney } = require('../utils/orderPricing');
+const {
+  TENDERS,
+  paymentStatus,
+  fetchPayableOrders,
+  fetchPayableLines,
+  splitEvenly,
+  allocatePayment,
+} = require('../utils/payments');
+
+const checkAdminOrServer = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && ['admin', 'server'].includes(rows[0].role);
+};
+
+// A payment or split targets exactly one order or one table tab
+const parseTarget = ({ order_id, table_session_id }) => {
+  const orderId = order_id !== undefined && order_id !== null ? parseInt(order_id) : null;
+  const tableSessionId = table_session_id !== undefined && table_session_id !== null ? parseInt(table_session_id) : null;
+  if ((orderId === null) === (tableSessionId === null)) {
+    return { error: 'Provide either order_id or table_session_id' };
+  }
+  if ((orderId !== null && (isNaN(orderId) || orderId <= 0)) || (tableSessionId !== null && (isNaN(tableSessionId) || tableSessionId <= 0))) {
+    return { error: 'Valid order ID or table session ID is required' };
+  }
+  return { orderId, tableSessionId };
+};
+
+module.exports = (io) => {
+  // Record a payment against an order or a table tab
+  router.post('/payments', async (req, res) => {
+    const { tender, amount, amount_tendered, order_item_ids, note } = req.body;
+    const timestamp = new Date().toISOString();
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to record payment', { authenticatedUser: req.user, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const target = parseTarget(req.body);
+      if (target.error) {
+        logger.warn('Invalid payment target', { body: req.body, timestamp });
+        return res.status(400).json({ error: target.error });
+      }
+      if (!TENDERS.includes(tender)) {
+        logger.warn('Invalid tender', { tender, timestamp });
+        return res.status(400).json({ error: `Tender must be one of: ${TENDERS.join(', ')}` });
+      }
+      const lineIds = Array.isArray(order_item_ids)
+        ? Array.from(new Set(order_item_ids.map(lineId => parseInt(lineId, 10)).filter(lineId => !Number.isNaN(lineId) && lineId > 0)))
+        : [];
+      if (order_item_ids !== undefined && lineIds.length === 0) {
+        logger.warn('Invalid order_item_ids for payment', { order_item_ids, timestamp });
+        return res.status(400).json({ error: 'order_item_ids must be a non-empty array of order line IDs' });
+      }
+      if (lineIds.length === 0 && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+        logger.warn('Invalid payment amount', { amount, timestamp });
+        return res.status(400).json({ error: 'Amount must be a positive number' });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        // Locking the orders in scope serialises concurrent payments on the same bill
+        const payableOrders = await fetchPayableOrders(connection, target, { lock: true });
+        if (payableOrders.length === 0) {
+          await connection.rollback();
+          logger.warn('Nothing to pay for target', { ...target, timestamp });
+          return res.status(404).json({ error: 'No billable orders found' });
+        }
+        const outstanding = roundMoney(payableOrders.reduce((sum, order) => sum + order.balance, 0));
+        if (outstanding <= 0) {
+          await connection.rollback();
+          logger.warn('Bill already paid', { ...target, timestamp });
+          return res.status(400).json({ error: 'Bill is already fully paid' });
+        }
+
+        let paymentAmount;
+        let allocations;
+        if (lineIds.length > 0) {
+          const lines = await fetchPayableLines(connection, payableOrders);
+          const selected = lines.filter(line => lineIds.includes(line.order_item_id));
+          if (selected.length !== lineIds.length) {
+            await connection.rollback();
+            const foundIds = selected.map(line => line.order_item_id);
+            logger.warn('Payment lines not on bill', { lineIds, foundIds, ...target, timestamp });
+            return res.status(400).json({ error: `Order lines not on this bill: [${lineIds.filter(lineId => !foundIds.includes(lineId)).join(', ')}]` });
+          }
+          const alreadyPaid = selected.filter(line => line.paid);
+          if (alreadyPaid.length > 0) {
+            await connection.rollback();
+            logger.warn('Payment lines already paid', { lineIds: alreadyPaid.map(line => line.order_item_id), ...target, timestamp });
+            return res.status(400).json({ error: `Order lines already paid: [${alreadyPaid.map(line => line.order_item_id).join(', ')}]` });
+          }
+          allocations = [];
+          for (const order of payableOrders) {
+            const orderLines = selected.filter(line => line.order_id === order.id);
+            if (orderLines.length === 0) continue;
+            // Paying the last unpaid lines of an order settles its balance exactly, absorbing rounding
+            const settlesOrder = lines.filter(line => line.order_id === order.id && !line.paid).length === orderLines.length;
+            const linesAmount = roundMoney(orderLines.reduce((sum, line) => sum + line.amount, 0));
+            allocations.push({ order_id: order.id, amount: settlesOrder ? order.balance : Math.min(linesAmount, order.balance) });
+          }
+          paymentAmount = roundMoney(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+          if (amount !== undefined && Math.abs(parseFloat(amount) - paymentAmount) > 0.01) {
+            await connection.rollback();
+            logger.warn('Payment amount does not match selected lines', { amount, expected: paymentAmount, ...target, timestamp });
+            return res.status(400).json({ error: `Amount mismatch for selected lines. Expected ${paymentAmount.toFixed(2)}, got ${parseFloat(amount).toFixed(2)}` });
+          }
+        } else {
+          paymentAmount = roundMoney(amount);
+          if (paymentAmount > outstanding + 0.01) {
+            await connection.rollback();
+            logger.warn('Payment exceeds outstanding balance', { amount: paymentAmount, outstanding, ...target, timestamp });
+            return res.status(400).json({ error: `Amount exceeds outstanding balance of ${outstanding.toFixed(2)}` });
+          }
+          allocations = allocatePayment(paymentAmount, payableOrders);
+        }
+
+        let tendered = null;
+        let changeGiven = 0;
+        if (tender === 'cash') {
+          tendered = amount_tendered !== undefined && amount_tendered !== null ? roundMoney(amount_tendered) : paymentAmount;
+          if (tendered < paymentAmount) {
+            await connection.rollback();
+            logger.warn('Cash tendered below amount', { tendered, amount: paymentAmount, ...target, timestamp });
+            return res.status(400).json({ error: `Amount tendered (${tendered.toFixed(2)}) is less than amount due (${paymentAmount.toFixed(2)})` });
+          }
+          changeGiven = roundMoney(tendered - paymentAmount);
+        }
+
+        const [paymentResult] = await connection.query(
+          'INSERT INTO payments (order_id, table_session_id, tender, amount, amount_tendered, change_given, received_by, note) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [target.orderId, target.tableSessionId, tender, paymentAmount, tendered, changeGiven, req.user.id, note ? String(note).trim().slice(0, 255) : null]
+        );
+        const paymentId = paymentResult.insertId;
+        for (const allocation of allocations) {
+          await connection.query(
+            'INSERT INTO payment_allocations (payment_id, order_id, amount) VALUES (?, ?, ?)',
+            [paymentId, allocation.order_id, allocation.amount]
+          );
+        }
+        for (const lineId of lineIds) {
+          await connection.query(
+            'INSERT INTO payment_items (payment_id, order_item_id) VALUES (?, ?)',
+            [paymentId, lineId]
+          );
+        }
+
+        const updatedOrders = await fetchPayableOrders(connection, target);
+        await connection.commit();
+
+        const balanceDue = roundMoney(updatedOrders.reduce((sum, order) => sum + order.balance, 0));
+        const orderStatuses = updatedOrders.map(order => ({
+          orderId: order.id.toString(),
+          paid_amount: order.paid_amount,
+          payment_status: paymentStatus(order.total_price, order.paid_amount),
+        }));
+        io.to('staff-notifications').emit('paymentRecorded', {
+          paymentId,
+          order_id: target.orderId,
+          table_session_id: target.tableSessionId,
+          tender,
+          amount: paymentAmount,
+          balance_due: balanceDue,
+          orders: orderStatuses,
+        });
+
+        logger.info('Payment recorded', { paymentId, ...target, tender, amount: paymentAmount, changeGiven, balanceDue, userId: req.user.id, timestamp });
+        res.status(201).json({
+          message: 'Payment recorded',
+          id: paymentId,
+          amount: paymentAmount,
+          amount_tendered: tendered,
+          change_given: changeGiven,
+          balance_due: balanceDue,
+          orders: orderStatuses,
+        });
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error recording payment in transaction', { error: error.message, body: req.body, timestamp });
+        res.status(500).json({ error: 'Failed to record payment' });
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      logger.error('Error recording payment', { error: error.message, body: req.body, timestamp });
+      res.status(500).json({ error: 'Failed to record payment' });
+    }
+  });
+
+  // Work out how a bill splits, evenly or by groups of order lines, before taking the payments
+  router.post('/payments/split', async (req, res) => {
+    const { mode, parts, groups } = req.body;
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to split bill', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const target = parseTarget(req.body);
+      if (target.error) {
+        logger.warn('Invalid split target', { body: req.body });
+        return res.status(400).json({ error: target.error });
+      }
+      if (!['even', 'items'].includes(mode)) {
+        logger.warn('Invalid split mode', { mode });
+        return res.status(400).json({ error: 'Mode must be even or items' });
+      }
+
+      const payableOrders = await fetchPayableOrders(db, target);
+      if (payableOrders.length === 0) {
+        logger.warn('Nothing to split for target', target);
+        return res.status(404).json({ error: 'No billable orders found' });
+      }
+      const outstanding = roundMoney(payableOrders.reduce((sum, order) => sum + order.balance, 0));
+
+      if (mode === 'even') {
+        const parsedParts = parseInt(parts);
+        if (isNaN(parsedParts) || parsedParts < 2 || parsedParts > 50) {
+          logger.warn('Invalid split parts', { parts });
+          return res.status(400).json({ error: 'Parts must be an integer between 2 and 50' });
+        }
+        logger.info('Bill split evenly', { ...target, parts: parsedParts, outstanding });
+        return res.json({ mode, outstanding, shares: splitEvenly(outstanding, parsedParts) });
+      }
+
+      const lines = await fetchPayableLines(db, payableOrders);
+      if (!Array.isArray(groups) || groups.length === 0 || !groups.every(Array.isArray)) {
+        logger.warn('Invalid split groups', { groups });
+        return res.status(400).json({ error: 'Groups must be a non-empty array of order line ID arrays' });
+      }
+      const seen = new Set();
+      const shares = [];
+      for (const group of groups) {
+        const groupLines = [];
+        for (const rawId of group) {
+          const lineId = parseInt(rawId, 10);
+          const line = lines.find(l => l.order_item_id === lineId);
+          if (!line) {
+            logger.warn('Split line not on bill', { lineId, ...target });
+            return res.status(400).json({ error: `Order line ${rawId} is not on this bill` });
+          }
+          if (line.paid || seen.has(lineId)) {
+            logger.warn('Split line already paid or assigned', { lineId, ...target });
+            return res.status(400).json({ error: `Order line ${lineId} is already paid or assigned to another share` });
+          }
+          seen.add(lineId);
+          groupLines.push(line);
+        }
+        shares.push({
+          order_item_ids: groupLines.map(line => line.order_item_id),
+          amount: roundMoney(groupLines.reduce((sum, line) => sum + line.amount, 0)),
+        });
+      }
+      const unassigned = lines.filter(line => !line.paid && !seen.has(line.order_item_id));
+
+      logger.info('Bill split by items', { ...target, shares: shares.length, unassigned: unassigned.length });
+      res.json({ mode, outstanding, shares, unassigned });
+    } catch (error) {
+      logger.error('Error splitting bill', { error: error.message, body: req.body });
+      res.status(500).json({ error: 'Failed to split bill' });
+    }
+  });
+
+  // Payments taken on an order or a tab
+  router.get('/payments', async (req, res) => {
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to fetch payments', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const target = parseTarget(req.query);
+      if (target.error) {
+        logger.warn('Invalid payments filter', { query: req.query });
+        return res.status(400).json({ error: target.error });
+      }
+      const [payments] = await db.query(
+        `SELECT DISTINCT p.*, u.email AS received_by_email
+         FROM payments p
+         LEFT JOIN users u ON p.received_by = u.id
+         LEFT JOIN payment_allocations pa ON pa.payment_id = p.id
+         WHERE ${target.orderId ? '(p.order_id = ? OR pa.order_id = ?)' : 'p.table_session_id = ?'}
+         ORDER BY p.created_at ASC`,
+        target.orderId ? [target.orderId, target.orderId] : [target.tableSessionId]
+      );
+      const payableOrders = await fetchPayableOrders(db, target);
+      const total = roundMoney(payableOrders.reduce((sum, order) => sum + order.total_price, 0));
+      const paid = roundMoney(payableOrders.reduce((sum, order) => sum + order.paid_amount, 0));
+      logger.info('Payments fetched', { ...target, count: payments.length });
+      res.json({
+        payments,
+        total_price: total,
+        paid_amount: paid,
+        balance_due: roundMoney(total - paid),
+        payment_status: paymentStatus(total, paid),
+      });
+    } catch (error) {
+      logger.error('Error fetching payments', { error: error.message, query: req.query });
+      res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+  });
+
+  // End-of-service reconciliation: takings by tender and staff member against what was billed
+  router.get('/payments/reconciliation', async (req, res) => {
+    const { start_date, end_date } = req.query;
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to fetch reconciliation', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const start = start_date ? new Date(start_date) : new Date(new Date().setUTCHours(0, 0, 0, 0));
+      const end = end_date ? new Date(end_date) : new Date();
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+        logger.warn('Invalid reconciliation range', { start_date, end_date });
+        return res.status(400).json({ error: 'Valid start_date and end_date are required' });
+      }
+
+      const [byTender] = await db.query(
+        `SELECT tender, COUNT(*) AS payment_count, SUM(amount) AS total_amount,
+                SUM(COALESCE(amount_tendered, amount)) AS total_tendered, SUM(change_given) AS total_change
+         FROM payments
+         WHERE created_at BETWEEN ? AND ?
+         GROUP BY tender`,
+        [start, end]
+      );
+      const [byStaff] = await db.query(
+        `SELECT p.received_by, u.email, p.tender, COUNT(*) AS payment_count, SUM(p.amount) AS total_amount
+         FROM payments p
+         LEFT JOIN users u ON p.received_by = u.id
+         WHERE p.created_at BETWEEN ? AND ?
+         GROUP BY p.received_by, u.email, p.tender`,
+        [start, end]
+      );
+      const [billedOrders] = await db.query(
+        `SELECT o.id, o.total_price, o.order_type, t.table_number,
+                COALESCE((SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.order_id = o.id), 0) AS paid_amount
+         FROM orders o
+         LEFT JOIN tables t ON o.table_id = t.id
+         WHERE o.created_at BETWEEN ? AND ? AND o.approved = 1 AND o.status != 'cancelled'`,
+        [start, end]
+      );
+
+      const billed = roundMoney(billedOrders.reduce((sum, order) => sum + parseFloat(order.total_price), 0));
+      const collected = roundMoney(billedOrders.reduce((sum, order) => sum + parseFloat(order.paid_amount), 0));
+      const outstandingOrders = billedOrders
+        .map(order => ({
+          id: order.id,
+          order_type: order.order_type,
+          table_number: order.table_number,
+          total_price: roundMoney(order.total_price),
+          paid_amount: roundMoney(order.paid_amount),
+          payment_status: paymentStatus(order.total_price, order.paid_amount),
+        }))
+        .filter(order => order.payment_status !== 'paid');
+
+      logger.info('Reconciliation fetched', { start, end, billed, collected });
+      res.json({
+        start_date: start.toISOString(),
+        end_date: end.toISOString(),
+        byTender: byTender.map(row => ({
+          ...row,
+          total_amount: roundMoney(row.total_amount),
+          total_tendered: roundMoney(row.total_tendered),
+          total_change: roundMoney(row.total_change),
+        })),
+        byStaff: byStaff.map(row => ({ ...row, total_amount: roundMoney(row.total_amount) })),
+        billed,
+        collected,
+        outstanding: roundMoney(billed - collected),
+        outstandingOrders,
+      });
+    } catch (error) {
+      logger.error('Error fetching reconciliation', { error: error.message, query: req.query });
+      res.status(500).json({ error: 'Failed to fetch reconciliation' });
+    }
+  });
+
+  return router;
+};
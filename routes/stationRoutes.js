@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { fetchStationTickets } = require('../utils/orderStations');
+
+const checkAdmin = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && rows[0].role === 'admin';
+};
+
+const checkAdminOrServer = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && ['admin', 'server'].includes(rows[0].role);
+};
+
+// Tables whose rows can be mapped to a station, keyed by the body field listing their ids
+const ASSIGNABLE = {
+  category_ids: { table: 'categories', label: 'Category' },
+  menu_item_ids: { table: 'menu_items', label: 'Menu item' },
+  breakfast_ids: { table: 'breakfasts', label: 'Breakfast' },
+};
+
+const parseStation = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { error: 'Name is required (max 100 characters)' };
+  }
+  const active = body.active === undefined ? 1 : (body.active === true || body.active === 'true' || body.active === 1 || body.active === '1' ? 1 : 0);
+  return { station: { name, active } };
+};
+
+const parseStationId = (id) => {
+  const stationId = parseInt(id);
+  return isNaN(stationId) || stationId <= 0 ? null : stationId;
+};
+
+// Stations with what is mapped to them, for the admin screen and station displays
+router.get('/stations', async (req, res) => {
+  try {
+    if (!req.user || !await checkAdminOrServer(req.user.id)) {
+      logger.warn('Unauthorized attempt to list stations', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin or server access required' });
+    }
+    const [stations] = await db.query('SELECT id, name, active, created_at, updated_at FROM preparation_stations ORDER BY name');
+    const assignments = {};
+    for (const [field, { table }] of Object.entries(ASSIGNABLE)) {
+      const [rows] = await db.query(`SELECT id, station_id FROM ${table} WHERE station_id IS NOT NULL`);
+      assignments[field] = rows;
+    }
+    res.json(stations.map(station => ({
+      ...station,
+      active: Number(station.active),
+      ...Object.fromEntries(Object.keys(ASSIGNABLE).map(field => [
+        field,
+        assignments[field].filter(row => row.station_id === station.id).map(row => row.id),
+      ])),
+    })));
+  } catch (error) {
+    logger.error('Error fetching stations', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch stations' });
+  }
+});
+
+router.post('/stations', async (req, res) => {
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to create station', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const parsed = parseStation(req.body);
+    if (parsed.error) {
+      logger.warn('Invalid station', { error: parsed.error });
+      return res.status(400).json({ error: parsed.error });
+    }
+    const [result] = await db.query(
+      'INSERT INTO preparation_stations (name, active) VALUES (?, ?)',
+      [parsed.station.name, parsed.station.active]
+    );
+    logger.info('Station created', { id: result.insertId, name: parsed.station.name, userId: req.user.id });
+    res.status(201).json({ message: 'Station created', id: result.insertId });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A station with this name already exists' });
+    }
+    logger.error('Error creating station', { error: error.message });
+    res.status(500).json({ error: 'Failed to create station' });
+  }
+});
+
+// Deactivating a station stops routing new lines to it; tickets it already has stay
+router.put('/stations/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to update station', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const stationId = parseStationId(id);
+    if (!stationId) {
+      logger.warn('Invalid station ID', { id });
+      return res.status(400).json({ error: 'Valid station ID is required' });
+    }
+    const parsed = parseStation(req.body);
+    if (parsed.error) {
+      logger.warn('Invalid station', { id: stationId, error: parsed.error });
+      return res.status(400).json({ error: parsed.error });
+    }
+    const [result] = await db.query(
+      'UPDATE preparation_stations SET name = ?, active = ? WHERE id = ?',
+      [parsed.station.name, parsed.station.active, stationId]
+    );
+    if (result.affectedRows === 0) {
+      logger.warn('Station not found', { id: stationId });
+      return res.status(404).json({ error: 'Station not found' });
+    }
+    logger.info('Station updated', { id: stationId, userId: req.user.id });
+    res.json({ message: 'Station updated' });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A station with this name already exists' });
+    }
+    logger.error('Error updating station', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to update station' });
+  }
+});
+
+// Replace what is routed to a station. Each list given replaces that kind of mapping;
+// omitted lists are left alone. Products can still override their category's station.
+router.put('/stations/:id/assignments', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to assign station', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const stationId = parseStationId(id);
+    if (!stationId) {
+      logger.warn('Invalid station ID', { id });
+      return res.status(400).json({ error: 'Valid station ID is required' });
+    }
+
+    const lists = {};
+    for (const field of Object.keys(ASSIGNABLE)) {
+      if (req.body[field] === undefined) continue;
+      const ids = Array.isArray(req.body[field]) ? req.body[field].map(value => parseInt(value)) : null;
+      if (!ids || ids.some(value => isNaN(value) || value <= 0)) {
+        logger.warn('Invalid station assignment list', { stationId, field });
+        return res.status(400).json({ error: `${field} must be an array of positive integers` });
+      }
+      lists[field] = Array.from(new Set(ids));
+    }
+    if (Object.keys(lists).length === 0) {
+      return res.status(400).json({ error: `Provide at least one of: ${Object.keys(ASSIGNABLE).join(', ')}` });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [stations] = await connection.query('SELECT id FROM preparation_stations WHERE id = ? FOR UPDATE', [stationId]);
+      if (stations.length === 0) {
+        await connection.rollback();
+        logger.warn('Station not found', { id: stationId });
+        return res.status(404).json({ error: 'Station not found' });
+      }
+      for (const [field, ids] of Object.entries(lists)) {
+        const { table, label } = ASSIGNABLE[field];
+        if (ids.length > 0) {
+          const [found] = await connection.query(`SELECT id FROM ${table} WHERE id IN (?)`, [ids]);
+          const missing = ids.find(value => !found.some(row => row.id === value));
+          if (missing) {
+            await connection.rollback();
+            logger.warn('Station assignment target not found', { stationId, table, id: missing });
+            return res.status(404).json({ error: `${label} ID ${missing} not found` });
+          }
+          await connection.query(`UPDATE ${table} SET station_id = NULL WHERE station_id = ? AND id NOT IN (?)`, [stationId, ids]);
+          await connection.query(`UPDATE ${table} SET station_id = ? WHERE id IN (?)`, [stationId, ids]);
+        } else {
+          await connection.query(`UPDATE ${table} SET station_id = NULL WHERE station_id = ?`, [stationId]);
+        }
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.info('Station assignments updated', { id: stationId, ...lists, userId: req.user.id });
+    res.json({ message: 'Station assignments updated' });
+  } catch (error) {
+    logger.error('Error updating station assignments', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to update station assignments' });
+  }
+});
+
+// A station with open tickets would leave those orders waiting forever; deactivate it instead
+router.delete('/stations/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkAdmin(req.user.id)) {
+      logger.warn('Unauthorized attempt to delete station', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const stationId = parseStationId(id);
+    if (!stationId) {
+      logger.warn('Invalid station ID', { id });
+      return res.status(400).json({ error: 'Valid station ID is required' });
+    }
+    const [open] = await db.query(
+      `SELECT COUNT(*) AS count
+       FROM order_station_tickets t
+       JOIN orders o ON t.order_id = o.id
+       WHERE t.station_id = ? AND t.status = 'pending' AND o.status = 'preparing'`,
+      [stationId]
+    );
+    if (open[0].count > 0) {
+      logger.warn('Station still has open tickets', { id: stationId, openTickets: open[0].count });
+      return res.status(409).json({ error: 'Station still has open tickets' });
+    }
+    const [result] = await db.query('DELETE FROM preparation_stations WHERE id = ?', [stationId]);
+    if (result.affectedRows === 0) {
+      logger.warn('Station not found', { id: stationId });
+      return res.status(404).json({ error: 'Station not found' });
+    }
+    logger.info('Station deleted', { id: stationId, userId: req.user.id });
+    res.json({ message: 'Station deleted' });
+  } catch (error) {
+    logger.error('Error deleting station', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to delete station' });
+  }
+});
+
+// Open tickets for a station display; live updates arrive on the station-<id> socket room
+router.get('/stations/:id/tickets', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkAdminOrServer(req.user.id)) {
+      logger.warn('Unauthorized attempt to fetch station tickets', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin or server access required' });
+    }
+    const stationId = parseStationId(id);
+    if (!stationId) {
+      logger.warn('Invalid station ID', { id });
+      return res.status(400).json({ error: 'Valid station ID is required' });
+    }
+    const tickets = await fetchStationTickets(db, { stationId, pendingOnly: true });
+    res.json(tickets);
+  } catch (error) {
+    logger.error('Error fetching station tickets', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to fetch station tickets' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { resolveTableToken } = require('../utils/tableTokens');
+const { fetchTableSessionOrders } = require('../utils/tableSessions');
+const { roundMoney } = require('../utils/orderPricing');
+
+const checkAdminOrServer = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && ['admin', 'server'].includes(rows[0].role);
+};
+
+// What guests can ask for, with the wording used in staff notifications
+const TABLE_REQUEST_TYPES = {
+  call_waiter: 'is calling a waiter',
+  bill: 'requests the bill',
+  water: 'asks for water',
+};
+const TABLE_REQUEST_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Per guest session, across all request types
+const MAX_REQUESTS_PER_WINDOW = 5;
+const REQUEST_WINDOW_MINUTES = 15;
+
+const fetchTableRequest = async (executor, requestId) => {
+  const [rows] = await executor.query(
+    `SELECT tr.*, t.table_number
+     FROM table_requests tr
+     JOIN tables t ON tr.table_id = t.id
+     WHERE tr.id = ?`,
+    [requestId]
+  );
+  return rows[0] || null;
+};
+
+// What the guest sees about their request
+const guestPayload = (request) => ({
+  id: request.id,
+  request_type: request.request_type,
+  status: request.status,
+  staff_name: request.staff_name,
+  acknowledged_at: request.acknowledged_at,
+  resolved_at: request.resolved_at,
+});
+
+module.exports = (io) => {
+  // Guest asks for a waiter, the bill or water from the table whose QR code they scanned
+  router.post('/table-requests', async (req, res) => {
+    const { table_token, request_type, note, session_id } = req.body || {};
+    const sessionId = session_id || req.headers['x-session-id'] || null;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!sessionId || typeof sessionId !== 'string' || !sessionId.trim()) {
+        logger.warn('Missing session for table request', { timestamp });
+        return res.status(400).json({ error: 'Valid session ID is required' });
+      }
+      if (!TABLE_REQUEST_TYPES[request_type]) {
+        logger.warn('Invalid table request type', { request_type, sessionId, timestamp });
+        return res.status(400).json({ error: `Request type must be one of: ${Object.keys(TABLE_REQUEST_TYPES).join(', ')}` });
+      }
+      const resolved = await resolveTableToken(db, table_token);
+      if (resolved.error) {
+        logger.warn('Table token rejected for table request', { error: resolved.error, sessionId, timestamp });
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+      const table = resolved.table;
+      const requestNote = typeof note === 'string' && note.trim() ? note.trim().slice(0, 255) : null;
+
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        // Serialise requests from one table so the checks below cannot race
+        await connection.query('SELECT id FROM tables WHERE id = ? FOR UPDATE', [table.id]);
+
+        const [pending] = await connection.query(
+          `SELECT id FROM table_requests
+           WHERE session_id = ? AND table_id = ? AND request_type = ? AND status != 'resolved'
+           ORDER BY id DESC LIMIT 1`,
+          [sessionId, table.id, request_type]
+        );
+        if (pending.length > 0) {
+          await connection.rollback();
+          const existing = await fetchTableRequest(db, pending[0].id);
+          logger.info('Table request already pending', { requestId: existing.id, request_type, tableId: table.id, sessionId, timestamp });
+          return res.status(200).json({ message: 'Request already sent', request: guestPayload(existing) });
+        }
+
+        const [recent] = await connection.query(
+          'SELECT COUNT(*) AS count FROM table_requests WHERE session_id = ? AND created_at >= NOW() - INTERVAL ? MINUTE',
+          [sessionId, REQUEST_WINDOW_MINUTES]
+        );
+        if (recent[0].count >= MAX_REQUESTS_PER_WINDOW) {
+          await connection.rollback();
+          logger.warn('Table request rate limit exceeded', { tableId: table.id, sessionId, count: recent[0].count, timestamp });
+          return res.status(429).json({ error: 'Too many requests. Please wait a few minutes before asking again.' });
+        }
+
+        // A merged table's guests sit on the host table's tab
+        const [sessions] = await connection.query(
+          `SELECT ts.id
+           FROM tables t
+           JOIN table_sessions ts ON ts.table_id = COALESCE(t.merged_into_table_id, t.id) AND ts.status = 'open'
+           WHERE t.id = ?
+           ORDER BY ts.id DESC LIMIT 1`,
+          [table.id]
+        );
+        const tableSessionId = sessions.length > 0 ? sessions[0].id : null;
+
+        const [result] = await connection.query(
+          'INSERT INTO table_requests (table_id, table_session_id, session_id, request_type, note) VALUES (?, ?, ?, ?, ?)',
+          [table.id, tableSessionId, sessionId, request_type, requestNote]
+        );
+        const requestId = result.insertId;
+        const message = `Table ${table.table_number} ${TABLE_REQUEST_TYPES[request_type]}${requestNote ? `: ${requestNote}` : ''}`;
+        const [notificationResult] = await connection.query(
+          'INSERT INTO notifications (type, reference_id, message) VALUES (?, ?, ?)',
+          ['table_request', requestId, message]
+        );
+        await connection.query('UPDATE table_requests SET notification_id = ? WHERE id = ?', [notificationResult.insertId, requestId]);
+        const [notificationRows] = await connection.query('SELECT * FROM notifications WHERE id = ?', [notificationResult.insertId]);
+
+        // The server bringing the bill gets the current tab total with the request
+        const tab = request_type === 'bill' && tableSessionId ? await fetchTableSessionOrders(connection, tableSessionId) : null;
+
+        await connection.commit();
+
+        const request = await fetchTableRequest(db, requestId);
+        const notification = notificationRows[0];
+        io.to('staff-notifications').emit('newNotification', {
+          id: notification.id,
+          type: notification.type,
+          reference_id: notification.reference_id,
+          message: notification.message,
+          is_read: Number(notification.is_read),
+          created_at: notification.created_at.toISOString(),
+        });
+        io.to('staff-notifications').emit('tableRequest', {
+          ...request,
+          tab_total: tab ? roundMoney(tab.total) : null,
+        });
+
+        logger.info('Table request created', { requestId, request_type, tableId: table.id, tableSessionId, sessionId, timestamp });
+        res.status(201).json({ message: 'Request sent', request: guestPayload(request) });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error creating table request in transaction', { error: err.message, request_type, sessionId, timestamp });
+        res.status(500).json({ error: 'Failed to send request' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error creating table request', { error: err.message, request_type, sessionId, timestamp });
+      res.status(500).json({ error: 'Failed to send request' });
+    }
+  });
+
+  // Requests for the staff screen, oldest first; ?status=open,acknowledged (default: not resolved)
+  router.get('/table-requests', async (req, res) => {
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to list table requests', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const statuses = req.query.status
+        ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+        : ['open', 'acknowledged'];
+      if (statuses.length === 0 || statuses.some(s => !TABLE_REQUEST_STATUSES.includes(s))) {
+        return res.status(400).json({ error: `Status must be one or more of: ${TABLE_REQUEST_STATUSES.join(', ')}` });
+      }
+      const [rows] = await db.query(
+        `SELECT tr.*, t.table_number
+         FROM table_requests tr
+         JOIN tables t ON tr.table_id = t.id
+         WHERE tr.status IN (?)
+         ORDER BY tr.created_at ASC, tr.id ASC
+         LIMIT 200`,
+        [statuses]
+      );
+      res.json(rows);
+    } catch (error) {
+      logger.error('Error fetching table requests', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch table requests' });
+    }
+  });
+
+  // A server takes the request (`acknowledge`, telling the guest who is coming) or closes it (`resolve`)
+  const handleTableRequest = (action) => async (req, res) => {
+    const { id } = req.params;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to handle table request', { authenticatedUser: req.user, action });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const requestId = parseInt(id);
+      if (isNaN(requestId) || requestId <= 0) {
+        logger.warn('Invalid table request ID', { id, action });
+        return res.status(400).json({ error: 'Valid request ID is required' });
+      }
+
+      const connection = await db.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const [rows] = await connection.query('SELECT id, status, notification_id, staff_name FROM table_requests WHERE id = ? FOR UPDATE', [requestId]);
+        if (rows.length === 0) {
+          await connection.rollback();
+          logger.warn('Table request not found', { requestId, action });
+          return res.status(404).json({ error: 'Request not found' });
+        }
+        const current = rows[0];
+        if (current.status === 'resolved' || (action === 'acknowledge' && current.status === 'acknowledged')) {
+          await connection.rollback();
+          logger.warn('Table request already handled', { requestId, status: current.status, action });
+          return res.status(400).json({ error: `Request is already ${current.status}` });
+        }
+
+        // Guests see the server's name when given, else the name part of their login
+        const [users] = await connection.query('SELECT email FROM users WHERE id = ?', [req.user.id]);
+        const { staff_name } = req.body || {};
+        const staffName = typeof staff_name === 'string' && staff_name.trim()
+          ? staff_name.trim().slice(0, 50)
+          : (users.length > 0 ? users[0].email.split('@')[0].slice(0, 50) : null);
+
+        if (action === 'acknowledge') {
+          await connection.query(
+            "UPDATE table_requests SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = NOW(), staff_name = ? WHERE id = ?",
+            [req.user.id, staffName, requestId]
+          );
+        } else {
+          // Resolving an open request also records who took it
+          await connection.query(
+            `UPDATE table_requests
+             SET status = 'resolved', resolved_by = ?, resolved_at = NOW(),
+                 acknowledged_by = COALESCE(acknowledged_by, ?), acknowledged_at = COALESCE(acknowledged_at, NOW()), staff_name = COALESCE(staff_name, ?)
+             WHERE id = ?`,
+            [req.user.id, req.user.id, staffName, requestId]
+          );
+        }
+        if (current.notification_id) {
+          await connection.query('UPDATE notifications SET is_read = 1 WHERE id = ?', [current.notification_id]);
+        }
+
+        await connection.commit();
+
+        const request = await fetchTableRequest(db, requestId);
+        io.to(`guest-${request.session_id}`).emit('tableRequestUpdate', guestPayload(request));
+        io.to('staff-notifications').emit('tableRequestUpdate', request);
+
+        logger.info(`Table request ${action}d`, { requestId, userId: req.user.id, staffName: request.staff_name, timestamp });
+        res.json({ message: `Request ${action}d`, request });
+      } catch (err) {
+        await connection.rollback();
+        logger.error('Error handling table request in transaction', { error: err.message, requestId, action, timestamp });
+        res.status(500).json({ error: 'Failed to update request' });
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      logger.error('Error handling table request', { error: err.message, id, action, timestamp });
+      res.status(500).json({ error: 'Failed to update request' });
+    }
+  };
+
+  router.put('/table-requests/:id/acknowledge', handleTableRequest('acknowledge'));
+  router.put('/table-requests/:id/resolve', handleTableRequest('resolve'));
+
+  return router;
+};
@@ -0,0 +1,658 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { getOrOpenTableSession, fetchTableSessionOrders, freeTableGroup, releaseTableIfIdle } = require('../utils/tableSessions');
+const { fetchOrderDetails } = require('../utils/orderDetails');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { roundMoney } = require('../utils/orderPricing');
+const { fetchPayableOrders, paymentStatus } = require('../utils/payments');
+
+const checkAdminOrServer = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && ['admin', 'server'].includes(rows[0].role);
+};
+
+const lockTable = async (connection, tableId) => {
+  const [rows] = await connection.query(
+    'SELECT id, table_number, status, merged_into_table_id FROM tables WHERE id = ? FOR UPDATE',
+    [tableId]
+  );
+  return rows[0] || null;
+};
+
+const lockOpenSession = async (connection, tableId) => {
+  const [rows] = await connection.query(
+    'SELECT id FROM table_sessions WHERE table_id = ? AND status = ? ORDER BY id DESC LIMIT 1 FOR UPDATE',
+    [tableId, 'open']
+  );
+  return rows[0] || null;
+};
+
+// Payments on a tab that settled the given orders and so leave the tab with them.
+// `mixedPaymentIds` also cover orders staying behind; those cannot be divided.
+const findPaymentsToMove = async (connection, tableSessionId, orderIds) => {
+  const [tabPayments] = await connection.query(
+    `SELECT p.id, p.order_id,
+            COALESCE(SUM(pa.order_id IN (?)), 0) AS moved_allocations,
+            COALESCE(SUM(pa.order_id NOT IN (?)), 0) AS other_allocations
+     FROM payments p
+     LEFT JOIN payment_allocations pa ON pa.payment_id = p.id
+     WHERE p.table_session_id = ?
+     GROUP BY p.id, p.order_id`,
+    [orderIds, orderIds, tableSessionId]
+  );
+  const mixedPaymentIds = tabPayments
+    .filter(payment => Number(payment.moved_allocations) > 0 && Number(payment.other_allocations) > 0)
+    .map(payment => payment.id);
+  const paymentIds = tabPayments
+    .filter(payment => Number(payment.moved_allocations) > 0 || (Number(payment.other_allocations) === 0 && orderIds.includes(payment.order_id)))
+    .map(payment => payment.id);
+  return { paymentIds, mixedPaymentIds };
+};
+
+module.exports = (io) => {
+  // Tell the guests and staff about orders whose table or tab changed
+  const emitOrdersMoved = async (orderIds) => {
+    for (const orderId of orderIds) {
+      const orderDetails = await fetchOrderDetails(db, orderId);
+      if (!orderDetails) continue;
+      const payload = { orderId: orderId.toString(), status: orderDetails.status, orderDetails };
+      io.to(`guest-${orderDetails.session_id}`).emit('orderUpdated', payload);
+      io.to('staff-notifications').emit('orderUpdated', payload);
+    }
+  };
+
+  // Current open tab for a table
+  router.get('/tables/:id/session', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to fetch table session', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tableId = parseInt(id);
+      if (isNaN(tableId) || tableId <= 0) {
+        logger.warn('Invalid table ID', { id });
+        return res.status(400).json({ error: 'Valid table ID is required' });
+      }
+      // A merged table shares the tab of the table it was merged into
+      const [sessions] = await db.query(
+        `SELECT ts.*, t.table_number
+         FROM table_sessions ts
+         JOIN tables t ON ts.table_id = t.id
+         WHERE ts.table_id = COALESCE((SELECT merged_into_table_id FROM tables WHERE id = ?), ?) AND ts.status = ?
+         ORDER BY ts.id DESC LIMIT 1`,
+        [tableId, tableId, 'open']
+      );
+      if (sessions.length === 0) {
+        logger.warn('No open tab for table', { tableId });
+        return res.status(404).json({ error: 'No open tab for this table' });
+      }
+      const { orders, total } = await fetchTableSessionOrders(db, sessions[0].id);
+      logger.info('Table session fetched', { tableId, tableSessionId: sessions[0].id });
+      res.json({
+        ...sessions[0],
+        orders: orders.map(order => ({ ...order, approved: Number(order.approved) })),
+        total_amount: parseFloat(total.toFixed(2)),
+      });
+    } catch (error) {
+      logger.error('Error fetching table session', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to fetch table session' });
+    }
+  });
+
+  // List tabs, newest first
+  router.get('/table-sessions', async (req, res) => {
+    const { status } = req.query;
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to fetch table sessions', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      if (status && !['open', 'settled', 'merged'].includes(status)) {
+        logger.warn('Invalid table session status filter', { status });
+        return res.status(400).json({ error: 'Status must be open, settled or merged' });
+      }
+      let query = `
+        SELECT ts.*, t.table_number,
+               COUNT(o.id) AS order_count,
+               COALESCE(SUM(CASE WHEN o.status != 'cancelled' THEN o.total_price ELSE 0 END), 0) AS running_total
+        FROM table_sessions ts
+        JOIN tables t ON ts.table_id = t.id
+        LEFT JOIN orders o ON o.table_session_id = ts.id
+      `;
+      const params = [];
+      if (status) {
+        query += ' WHERE ts.status = ?';
+        params.push(status);
+      }
+      query += ' GROUP BY ts.id ORDER BY ts.opened_at DESC LIMIT 200';
+      const [rows] = await db.query(query, params);
+      logger.info('Table sessions fetched', { count: rows.length, status });
+      res.json(rows.map(row => ({ ...row, running_total: parseFloat(row.running_total || 0).toFixed(2) })));
+    } catch (error) {
+      logger.error('Error fetching table sessions', { error: error.message, status });
+      res.status(500).json({ error: 'Failed to fetch table sessions' });
+    }
+  });
+
+  // Close a table: settle its open tab and make the table available again
+  router.post('/tables/:id/close', async (req, res) => {
+    const { id } = req.params;
+    try {
+      const { force = false } = req.body || {};
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to close table', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tableId = parseInt(id);
+      if (isNaN(tableId) || tableId <= 0) {
+        logger.warn('Invalid table ID', { id });
+        return res.status(400).json({ error: 'Valid table ID is required' });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        const [tables] = await connection.query('SELECT id, table_number, merged_into_table_id FROM tables WHERE id = ? FOR UPDATE', [tableId]);
+        if (tables.length === 0) {
+          await connection.rollback();
+          logger.warn('Table not found', { id: tableId });
+          return res.status(404).json({ error: 'Table not found' });
+        }
+        if (tables[0].merged_into_table_id) {
+          await connection.rollback();
+          logger.warn('Cannot close a merged table', { tableId, mergedInto: tables[0].merged_into_table_id });
+          return res.status(400).json({ error: 'Table is merged into another table; close that table or split it first' });
+        }
+        const [sessions] = await connection.query(
+          'SELECT id FROM table_sessions WHERE table_id = ? AND status = ? ORDER BY id DESC LIMIT 1 FOR UPDATE',
+          [tableId, 'open']
+        );
+        if (sessions.length === 0) {
+          await connection.rollback();
+          logger.warn('No open tab to close', { tableId });
+          return res.status(404).json({ error: 'No open tab for this table' });
+        }
+        const tableSessionId = sessions[0].id;
+
+        const { orders, billable, total } = await fetchTableSessionOrders(connection, tableSessionId);
+        const unapproved = billable.filter(order => !order.approved);
+        if (unapproved.length > 0 && force !== true) {
+          await connection.rollback();
+          logger.warn('Cannot close table with unapproved orders', { tableId, tableSessionId, orderIds: unapproved.map(o => o.id) });
+          return res.status(400).json({
+            error: `Table has unapproved orders: ${unapproved.map(o => `#${o.id}`).join(', ')}. Approve or cancel them first.`
+          });
+        }
+
+        const payableOrders = await fetchPayableOrders(connection, { tableSessionId });
+        const paidAmount = roundMoney(payableOrders.reduce((sum, order) => sum + order.paid_amount, 0));
+
+        await connection.query(
+          'UPDATE table_sessions SET status = ?, total_amount = ?, closed_at = NOW(), closed_by = ? WHERE id = ?',
+          ['settled', total, req.user.id, tableSessionId]
+        );
+        await connection.query(
+          'UPDATE tables SET status = ? WHERE id = ?',
+          ['available', tableId]
+        );
+        const releasedTableIds = await freeTableGroup(connection, tableId);
+        await connection.commit();
+
+        for (const releasedTableId of releasedTableIds) {
+          io.emit('tableStatusUpdate', { table_id: releasedTableId, status: 'available', table_session_id: tableSessionId });
+        }
+        logger.info('Table closed', { tableId, tableSessionId, total, orderCount: orders.length, userId: req.user.id });
+        res.json({
+          message: 'Table closed',
+          table_session_id: tableSessionId,
+          table_number: tables[0].table_number,
+          order_count: billable.length,
+          total_amount: parseFloat(total.toFixed(2)),
+          paid_amount: paidAmount,
+          balance_due: roundMoney(total - paidAmount),
+          payment_status: paymentStatus(total, paidAmount),
+        });
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error closing table in transaction', { error: error.message, tableId });
+        res.status(500).json({ error: 'Failed to close table' });
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      logger.error('Error closing table', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to close table' });
+    }
+  });
+
+  // Move one order to another table (and that table's tab), with the payments that settled it
+  router.post('/orders/:id/transfer', async (req, res) => {
+    const { id } = req.params;
+    const { table_id } = req.body || {};
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to transfer order', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      const targetTableId = parseInt(table_id);
+      if (isNaN(orderId) || orderId <= 0 || isNaN(targetTableId) || targetTableId <= 0) {
+        logger.warn('Invalid IDs for order transfer', { id, table_id });
+        return res.status(400).json({ error: 'Valid order ID and table_id are required' });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        const [orders] = await connection.query(
+          'SELECT id, status, order_type, table_id, table_session_id FROM orders WHERE id = ? FOR UPDATE',
+          [orderId]
+        );
+        if (orders.length === 0) {
+          await connection.rollback();
+          logger.warn('Order not found for transfer', { orderId });
+          return res.status(404).json({ error: 'Order not found' });
+        }
+        const order = orders[0];
+        if (order.order_type !== 'local') {
+          await connection.rollback();
+          logger.warn('Only table orders can be transferred', { orderId, orderType: order.order_type });
+          return res.status(400).json({ error: 'Only table orders can be transferred' });
+        }
+        if (['cancelled', 'delivered'].includes(order.status)) {
+          await connection.rollback();
+          logger.warn('Order not transferable', { orderId, status: order.status });
+          return res.status(400).json({ error: `Cannot transfer a ${order.status} order` });
+        }
+
+        const target = await lockTable(connection, targetTableId);
+        if (!target) {
+          await connection.rollback();
+          logger.warn('Target table not found', { targetTableId });
+          return res.status(404).json({ error: 'Table not found' });
+        }
+        if (target.id === order.table_id) {
+          await connection.rollback();
+          return res.status(400).json({ error: 'Order is already on this table' });
+        }
+        if (target.status === 'reserved') {
+          await connection.rollback();
+          logger.warn('Target table reserved', { targetTableId });
+          return res.status(400).json({ error: 'Table is reserved' });
+        }
+
+        // A payment that also covers orders staying on the old tab cannot follow this one
+        const { paymentIds: movedPaymentIds, mixedPaymentIds } = order.table_session_id
+          ? await findPaymentsToMove(connection, order.table_session_id, [orderId])
+          : { paymentIds: [], mixedPaymentIds: [] };
+        if (mixedPaymentIds.length > 0) {
+          await connection.rollback();
+          logger.warn('Transfer blocked by shared payments', { orderId, paymentIds: mixedPaymentIds });
+          return res.status(409).json({ error: 'A payment on this tab covers this order and others; the order cannot be transferred on its own' });
+        }
+
+        const targetSession = await getOrOpenTableSession(connection, target.id);
+        await connection.query(
+          'UPDATE orders SET table_id = ?, table_session_id = ? WHERE id = ?',
+          [target.id, targetSession.id, orderId]
+        );
+        if (movedPaymentIds.length > 0) {
+          await connection.query('UPDATE payments SET table_session_id = ? WHERE id IN (?)', [targetSession.id, movedPaymentIds]);
+        }
+        if (target.status !== 'occupied') {
+          await connection.query('UPDATE tables SET status = ? WHERE id = ?', ['occupied', target.id]);
+        }
+        await recordOrderEvent(connection, orderId, 'table_changed', {
+          actorId: req.user.id,
+          details: {
+            action: 'transfer',
+            from_table_id: order.table_id,
+            to_table_id: target.id,
+            from_table_session_id: order.table_session_id,
+            to_table_session_id: targetSession.id,
+          },
+        });
+        const releasedTableIds = order.table_session_id !== targetSession.id
+          ? await releaseTableIfIdle(connection, order.table_id, order.table_session_id)
+          : [];
+        await connection.commit();
+
+        io.emit('tableStatusUpdate', { table_id: target.id, status: 'occupied', table_session_id: targetSession.id });
+        for (const releasedTableId of releasedTableIds) {
+          io.emit('tableStatusUpdate', { table_id: releasedTableId, status: 'available', table_session_id: order.table_session_id });
+        }
+        await emitOrdersMoved([orderId]);
+
+        logger.info('Order transferred', { orderId, fromTableId: order.table_id, toTableId: target.id, tableSessionId: targetSession.id, paymentIds: movedPaymentIds, releasedTableIds, userId: req.user.id });
+        res.json({
+          message: 'Order transferred',
+          order_id: orderId,
+          table_id: target.id,
+          table_number: target.table_number,
+          table_session_id: targetSession.id,
+          payment_ids: movedPaymentIds,
+          released_table_ids: releasedTableIds,
+        });
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error transferring order in transaction', { error: error.message, orderId });
+        res.status(500).json({ error: 'Failed to transfer order' });
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      logger.error('Error transferring order', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to transfer order' });
+    }
+  });
+
+  // Move a table's whole open tab to a free table
+  router.post('/tables/:id/transfer', async (req, res) => {
+    const { id } = req.params;
+    const { table_id } = req.body || {};
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to transfer table', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const sourceTableId = parseInt(id);
+      const targetTableId = parseInt(table_id);
+      if (isNaN(sourceTableId) || sourceTableId <= 0 || isNaN(targetTableId) || targetTableId <= 0) {
+        logger.warn('Invalid table IDs for transfer', { id, table_id });
+        return res.status(400).json({ error: 'Valid table ID and table_id are required' });
+      }
+      if (sourceTableId === targetTableId) {
+        return res.status(400).json({ error: 'Source and target tables must differ' });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        // Lock in id order so concurrent moves between the same tables cannot deadlock
+        const [first, second] = [sourceTableId, targetTableId].sort((a, b) => a - b);
+        const locked = { [first]: await lockTable(connection, first), [second]: await lockTable(connection, second) };
+        const source = locked[sourceTableId];
+        const target = locked[targetTableId];
+        if (!source || !target) {
+          await connection.rollback();
+          logger.warn('Table not found for transfer', { sourceTableId, targetTableId });
+          return res.status(404).json({ error: 'Table not found' });
+        }
+        if (source.merged_into_table_id || target.merged_into_table_id) {
+          await connection.rollback();
+          logger.warn('Cannot transfer a merged table', { sourceTableId, targetTableId });
+          return res.status(400).json({ error: 'Merged tables must be split before being transferred' });
+        }
+        if (target.status === 'reserved') {
+          await connection.rollback();
+          logger.warn('Target table reserved', { targetTableId });
+          return res.status(400).json({ error: 'Table is reserved' });
+        }
+
+        const sourceSession = await lockOpenSession(connection, sourceTableId);
+        if (!sourceSession) {
+          await connection.rollback();
+          logger.warn('No open tab to transfer', { sourceTableId });
+          return res.status(404).json({ error: 'No open tab for this table' });
+        }
+        if (await lockOpenSession(connection, targetTableId)) {
+          await connection.rollback();
+          logger.warn('Target table already has an open tab', { targetTableId });
+          return res.status(409).json({ error: 'Target table already has an open tab; merge the tables instead' });
+        }
+
+        const [movedOrders] = await connection.query(
+          'SELECT id FROM orders WHERE table_session_id = ? AND table_id = ? FOR UPDATE',
+          [sourceSession.id, sourceTableId]
+        );
+        const movedOrderIds = movedOrders.map(order => order.id);
+        await connection.query('UPDATE table_sessions SET table_id = ? WHERE id = ?', [targetTableId, sourceSession.id]);
+        await connection.query(
+          'UPDATE orders SET table_id = ? WHERE table_session_id = ? AND table_id = ?',
+          [targetTableId, sourceSession.id, sourceTableId]
+        );
+        await connection.query('UPDATE tables SET merged_into_table_id = ? WHERE merged_into_table_id = ?', [targetTableId, sourceTableId]);
+        await connection.query('UPDATE tables SET status = ? WHERE id = ?', ['occupied', targetTableId]);
+        await connection.query('UPDATE tables SET status = ? WHERE id = ? AND status = ?', ['available', sourceTableId, 'occupied']);
+        for (const orderId of movedOrderIds) {
+          await recordOrderEvent(connection, orderId, 'table_changed', {
+            actorId: req.user.id,
+            details: { action: 'table_transfer', from_table_id: sourceTableId, to_table_id: targetTableId, table_session_id: sourceSession.id },
+          });
+        }
+        await connection.commit();
+
+        io.emit('tableStatusUpdate', { table_id: targetTableId, status: 'occupied', table_session_id: sourceSession.id });
+        io.emit('tableStatusUpdate', { table_id: sourceTableId, status: 'available', table_session_id: null });
+        await emitOrdersMoved(movedOrderIds);
+
+        logger.info('Table transferred', { sourceTableId, targetTableId, tableSessionId: sourceSession.id, orderIds: movedOrderIds, userId: req.user.id });
+        res.json({
+          message: 'Table transferred',
+          table_session_id: sourceSession.id,
+          from_table_id: sourceTableId,
+          table_id: targetTableId,
+          table_number: target.table_number,
+          order_ids: movedOrderIds,
+        });
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error transferring table in transaction', { error: error.message, sourceTableId, targetTableId });
+        res.status(500).json({ error: 'Failed to transfer table' });
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      logger.error('Error transferring table', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to transfer table' });
+    }
+  });
+
+  // Merge another table into this one: both share this table's tab until split
+  router.post('/tables/:id/merge', async (req, res) => {
+    const { id } = req.params;
+    const { table_id } = req.body || {};
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to merge tables', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const hostTableId = parseInt(id);
+      const guestTableId = parseInt(table_id);
+      if (isNaN(hostTableId) || hostTableId <= 0 || isNaN(guestTableId) || guestTableId <= 0) {
+        logger.warn('Invalid table IDs for merge', { id, table_id });
+        return res.status(400).json({ error: 'Valid table ID and table_id are required' });
+      }
+      if (hostTableId === guestTableId) {
+        return res.status(400).json({ error: 'A table cannot be merged into itself' });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        const [first, second] = [hostTableId, guestTableId].sort((a, b) => a - b);
+        const locked = { [first]: await lockTable(connection, first), [second]: await lockTable(connection, second) };
+        const host = locked[hostTableId];
+        const guest = locked[guestTableId];
+        if (!host || !guest) {
+          await connection.rollback();
+          logger.warn('Table not found for merge', { hostTableId, guestTableId });
+          return res.status(404).json({ error: 'Table not found' });
+        }
+        if (host.merged_into_table_id) {
+          await connection.rollback();
+          logger.warn('Host table is itself merged', { hostTableId, mergedInto: host.merged_into_table_id });
+          return res.status(400).json({ error: `Table ${host.table_number} is merged into another table; merge into that table instead` });
+        }
+        if (guest.merged_into_table_id) {
+          await connection.rollback();
+          logger.warn('Table already merged', { guestTableId, mergedInto: guest.merged_into_table_id });
+          return res.status(400).json({ error: `Table ${guest.table_number} is already merged; split it first` });
+        }
+        const [guestsOfGuest] = await connection.query('SELECT id FROM tables WHERE merged_into_table_id = ? LIMIT 1', [guestTableId]);
+        if (guestsOfGuest.length > 0) {
+          await connection.rollback();
+          logger.warn('Table has merged tables of its own', { guestTableId });
+          return res.status(400).json({ error: `Other tables are merged into table ${guest.table_number}; split them first` });
+        }
+        if (host.status === 'reserved' || guest.status === 'reserved') {
+          await connection.rollback();
+          logger.warn('Cannot merge a reserved table', { hostTableId, guestTableId });
+          return res.status(400).json({ error: 'Table is reserved' });
+        }
+
+        const hostSession = await getOrOpenTableSession(connection, hostTableId);
+        const guestSession = await lockOpenSession(connection, guestTableId);
+        let movedOrderIds = [];
+        if (guestSession) {
+          const [movedOrders] = await connection.query('SELECT id FROM orders WHERE table_session_id = ? FOR UPDATE', [guestSession.id]);
+          movedOrderIds = movedOrders.map(order => order.id);
+          await connection.query('UPDATE orders SET table_session_id = ? WHERE table_session_id = ?', [hostSession.id, guestSession.id]);
+          // Payments already taken on the guest tab count towards the shared tab
+          await connection.query('UPDATE payments SET table_session_id = ? WHERE table_session_id = ?', [hostSession.id, guestSession.id]);
+          await connection.query(
+            'UPDATE table_sessions SET status = ?, merged_into_session_id = ?, total_amount = 0, closed_at = NOW(), closed_by = ? WHERE id = ?',
+            ['merged', hostSession.id, req.user.id, guestSession.id]
+          );
+        }
+        await connection.query('UPDATE tables SET merged_into_table_id = ?, status = ? WHERE id = ?', [hostTableId, 'occupied', guestTableId]);
+        await connection.query('UPDATE tables SET status = ? WHERE id = ?', ['occupied', hostTableId]);
+        for (const orderId of movedOrderIds) {
+          await recordOrderEvent(connection, orderId, 'table_changed', {
+            actorId: req.user.id,
+            details: { action: 'merge', table_id: guestTableId, merged_into_table_id: hostTableId, from_table_session_id: guestSession.id, to_table_session_id: hostSession.id },
+          });
+        }
+        await connection.commit();
+
+        io.emit('tableStatusUpdate', { table_id: hostTableId, status: 'occupied', table_session_id: hostSession.id });
+        io.emit('tableStatusUpdate', { table_id: guestTableId, status: 'occupied', table_session_id: hostSession.id, merged_into_table_id: hostTableId });
+        await emitOrdersMoved(movedOrderIds);
+
+        logger.info('Tables merged', { hostTableId, guestTableId, tableSessionId: hostSession.id, mergedSessionId: guestSession ? guestSession.id : null, orderIds: movedOrderIds, userId: req.user.id });
+        res.json({
+          message: 'Tables merged',
+          table_id: hostTableId,
+          merged_table_id: guestTableId,
+          table_session_id: hostSession.id,
+          merged_table_session_id: guestSession ? guestSession.id : null,
+          order_ids: movedOrderIds,
+        });
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error merging tables in transaction', { error: error.message, hostTableId, guestTableId });
+        res.status(500).json({ error: 'Failed to merge tables' });
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      logger.error('Error merging tables', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to merge tables' });
+    }
+  });
+
+  // Split a merged table back out: its own orders, and the payments that settled them, move to a tab of its own
+  router.post('/tables/:id/split', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.user || !await checkAdminOrServer(req.user.id)) {
+        logger.warn('Unauthorized attempt to split table', { authenticatedUser: req.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tableId = parseInt(id);
+      if (isNaN(tableId) || tableId <= 0) {
+        logger.warn('Invalid table ID', { id });
+        return res.status(400).json({ error: 'Valid table ID is required' });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        const table = await lockTable(connection, tableId);
+        if (!table) {
+          await connection.rollback();
+          logger.warn('Table not found', { id: tableId });
+          return res.status(404).json({ error: 'Table not found' });
+        }
+        if (!table.merged_into_table_id) {
+          await connection.rollback();
+          logger.warn('Table is not merged', { tableId });
+          return res.status(400).json({ error: 'Table is not merged into another table' });
+        }
+        const hostTableId = table.merged_into_table_id;
+        await connection.query('UPDATE tables SET merged_into_table_id = NULL WHERE id = ?', [tableId]);
+
+        const hostSession = await lockOpenSession(connection, hostTableId);
+        let movedOrderIds = [];
+        let movedPaymentIds = [];
+        let tableSession = null;
+        if (hostSession) {
+          const [ownOrders] = await connection.query(
+            'SELECT id, status FROM orders WHERE table_session_id = ? AND table_id = ? FOR UPDATE',
+            [hostSession.id, tableId]
+          );
+          if (ownOrders.length > 0) {
+            movedOrderIds = ownOrders.map(order => order.id);
+            // Payments go back with the orders they settled; one that also covers the
+            // host's orders cannot be divided, so the tab has to stay together
+            const { paymentIds, mixedPaymentIds } = await findPaymentsToMove(connection, hostSession.id, movedOrderIds);
+            if (mixedPaymentIds.length > 0) {
+              await connection.rollback();
+              logger.warn('Split blocked by shared payments', { tableId, hostTableId, paymentIds: mixedPaymentIds });
+              return res.status(409).json({ error: `A payment on this tab covers orders of table ${table.table_number} and of other tables; it cannot be split` });
+            }
+            movedPaymentIds = paymentIds;
+
+            tableSession = await getOrOpenTableSession(connection, tableId);
+            await connection.query(
+              'UPDATE orders SET table_session_id = ? WHERE table_session_id = ? AND table_id = ?',
+              [tableSession.id, hostSession.id, tableId]
+            );
+            if (movedPaymentIds.length > 0) {
+              await connection.query('UPDATE payments SET table_session_id = ? WHERE id IN (?)', [tableSession.id, movedPaymentIds]);
+            }
+            for (const orderId of movedOrderIds) {
+              await recordOrderEvent(connection, orderId, 'table_changed', {
+                actorId: req.user.id,
+                details: { action: 'split', table_id: tableId, from_table_session_id: hostSession.id, to_table_session_id: tableSession.id },
+              });
+            }
+          }
+        }
+        const stillSeated = tableSession && (await fetchTableSessionOrders(connection, tableSession.id)).billable.length > 0;
+        const status = stillSeated ? 'occupied' : 'available';
+        await connection.query('UPDATE tables SET status = ? WHERE id = ?', [status, tableId]);
+        await connection.commit();
+
+        io.emit('tableStatusUpdate', { table_id: tableId, status, table_session_id: tableSession ? tableSession.id : null, merged_into_table_id: null });
+        await emitOrdersMoved(movedOrderIds);
+
+        logger.info('Table split', { tableId, hostTableId, tableSessionId: tableSession ? tableSession.id : null, orderIds: movedOrderIds, paymentIds: movedPaymentIds, userId: req.user.id });
+        res.json({
+          message: 'Table split',
+          table_id: tableId,
+          from_table_id: hostTableId,
+          table_session_id: tableSession ? tableSession.id : null,
+          status,
+          order_ids: movedOrderIds,
+          payment_ids: movedPaymentIds,
+        });
+      } catch (error) {
+        await connection.rollback();
+        logger.error('Error splitting table in transaction', { error: error.message, tableId });
+        res.status(500).json({ error: 'Failed to split table' });
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      logger.error('Error splitting table', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to split table' });
+    }
+  });
+
+  return router;
+};
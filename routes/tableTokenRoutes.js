@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { signTableToken, resolveTableToken } = require('../utils/tableTokens');
+const { QR_FORMATS, MAX_SHEET_TABLES, MAX_SHEET_PIXELS, estimateSheetPixels, buildTableOrderUrl, fetchThemeLogo, renderTableQrCodes } = require('../utils/tableQr');
+
+const checkRole = async (userId, allowedRoles = ['admin']) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && allowedRoles.includes(rows[0].role);
+};
+
+const tokenPayload = (table) => ({
+  table_id: table.id,
+  table_number: table.table_number,
+  token: table.qr_token_revoked_at ? null : signTableToken(table.id, table.qr_token_version),
+  version: table.qr_token_version,
+  rotated_at: table.qr_token_rotated_at,
+  revoked_at: table.qr_token_revoked_at,
+});
+
+const fetchTable = async (executor, tableId) => {
+  const [rows] = await executor.query(
+    'SELECT id, table_number, qr_token_version, qr_token_rotated_at, qr_token_revoked_at FROM tables WHERE id = ?',
+    [tableId]
+  );
+  return rows[0] || null;
+};
+
+// Output options shared by single codes and sheets
+const parseQrOptions = (query, defaultSize, maxSize = 2048) => {
+  const format = query.format || 'svg';
+  if (!QR_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${QR_FORMATS.join(', ')}` };
+  }
+  const size = query.size === undefined ? defaultSize : parseInt(query.size);
+  if (isNaN(size) || size < 128 || size > maxSize) {
+    return { error: `Size must be between 128 and ${maxSize} pixels` };
+  }
+  const columns = query.columns === undefined ? 3 : parseInt(query.columns);
+  if (isNaN(columns) || columns < 1 || columns > 6) {
+    return { error: 'Columns must be between 1 and 6' };
+  }
+  return { format, size, columns, withLogo: query.logo === '1' || query.logo === 'true' };
+};
+
+const sendQr = (res, { contentType, body }, filename) => {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.set('Cache-Control', 'no-store');
+  res.send(body);
+};
+
+// Which table a scanned QR code belongs to, so the guest app can show it before ordering
+router.get('/table-tokens/:token', async (req, res) => {
+  try {
+    const result = await resolveTableToken(db, req.params.token);
+    if (result.error) {
+      logger.warn('Table token rejected', { error: result.error });
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ table_id: result.table.id, table_number: result.table.table_number, status: result.table.status });
+  } catch (error) {
+    logger.error('Error resolving table token', { error: error.message });
+    res.status(500).json({ error: 'Failed to resolve table QR code' });
+  }
+});
+
+// Current token for a table's QR code (null while revoked)
+router.get('/tables/:id/qr-token', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkRole(req.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to fetch table token', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const tableId = parseInt(id);
+    if (isNaN(tableId) || tableId <= 0) {
+      logger.warn('Invalid table ID', { id });
+      return res.status(400).json({ error: 'Valid table ID is required' });
+    }
+    const table = await fetchTable(db, tableId);
+    if (!table) {
+      logger.warn('Table not found', { id: tableId });
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    res.json(tokenPayload(table));
+  } catch (error) {
+    logger.error('Error fetching table token', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to fetch table token' });
+  }
+});
+
+// Issue a new token (reprinted or stolen sticker); every earlier token for the table stops working
+router.post('/tables/:id/qr-token/regenerate', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkRole(req.user.id, ['admin', 'server'])) {
+      logger.warn('Unauthorized attempt to regenerate table token', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin or server access required' });
+    }
+    const tableId = parseInt(id);
+    if (isNaN(tableId) || tableId <= 0) {
+      logger.warn('Invalid table ID', { id });
+      return res.status(400).json({ error: 'Valid table ID is required' });
+    }
+    const [result] = await db.query(
+      'UPDATE tables SET qr_token_version = qr_token_version + 1, qr_token_rotated_at = NOW(), qr_token_revoked_at = NULL WHERE id = ?',
+      [tableId]
+    );
+    if (result.affectedRows === 0) {
+      logger.warn('Table not found', { id: tableId });
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    const table = await fetchTable(db, tableId);
+    logger.info('Table token regenerated', { id: tableId, version: table.qr_token_version, userId: req.user.id });
+    res.json({ message: 'Table token regenerated', ...tokenPayload(table) });
+  } catch (error) {
+    logger.error('Error regenerating table token', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to regenerate table token' });
+  }
+});
+
+// Block ordering through the table's QR code until a new token is generated
+router.post('/tables/:id/qr-token/revoke', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkRole(req.user.id, ['admin', 'server'])) {
+      logger.warn('Unauthorized attempt to revoke table token', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin or server access required' });
+    }
+    const tableId = parseInt(id);
+    if (isNaN(tableId) || tableId <= 0) {
+      logger.warn('Invalid table ID', { id });
+      return res.status(400).json({ error: 'Valid table ID is required' });
+    }
+    const [result] = await db.query(
+      'UPDATE tables SET qr_token_revoked_at = COALESCE(qr_token_revoked_at, NOW()) WHERE id = ?',
+      [tableId]
+    );
+    if (result.affectedRows === 0) {
+      logger.warn('Table not found', { id: tableId });
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    logger.info('Table token revoked', { id: tableId, userId: req.user.id });
+    res.json({ message: 'Table token revoked' });
+  } catch (error) {
+    logger.error('Error revoking table token', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to revoke table token' });
+  }
+});
+
+// Printable code for one table, encoding its ordering URL; ?format=svg|png&size=512&logo=1
+router.get('/tables/:id/qr', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.user || !await checkRole(req.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to generate table QR code', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const tableId = parseInt(id);
+    if (isNaN(tableId) || tableId <= 0) {
+      logger.warn('Invalid table ID', { id });
+      return res.status(400).json({ error: 'Valid table ID is required' });
+    }
+    const options = parseQrOptions(req.query, 512);
+    if (options.error) {
+      logger.warn('Invalid QR code options', { error: options.error, query: req.query });
+      return res.status(400).json({ error: options.error });
+    }
+    const table = await fetchTable(db, tableId);
+    if (!table) {
+      logger.warn('Table not found', { id: tableId });
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    if (table.qr_token_revoked_at) {
+      logger.warn('QR code requested for revoked table token', { id: tableId });
+      return res.status(409).json({ error: 'Table token is revoked; regenerate it first' });
+    }
+    const logo = options.withLogo ? await fetchThemeLogo(db, Math.round(options.size / 4)) : null;
+    const output = renderTableQrCodes(
+      [{ url: buildTableOrderUrl(signTableToken(table.id, table.qr_token_version)), label: `Table ${table.table_number}` }],
+      { format: options.format, size: options.size, gap: 0, logo }
+    );
+    logger.info('Table QR code generated', { id: tableId, format: options.format, logo: Boolean(logo), userId: req.user.id });
+    sendQr(res, output, `table-${table.table_number}.${options.format}`);
+  } catch (error) {
+    logger.error('Error generating table QR code', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to generate table QR code' });
+  }
+});
+
+// Sheet of codes for a range of table numbers, like POST /tables/bulk creates them.
+// Tables with a revoked token are left out and listed in X-Skipped-Tables.
+router.get('/table-qr-sheet', async (req, res) => {
+  try {
+    if (!req.user || !await checkRole(req.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to generate table QR sheet', { authenticatedUser: req.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const startNumber = parseInt(req.query.start_number);
+    const endNumber = parseInt(req.query.end_number);
+    if (isNaN(startNumber) || isNaN(endNumber) || startNumber < 1 || endNumber < startNumber) {
+      logger.warn('Invalid table number range for QR sheet', { query: req.query });
+      return res.status(400).json({ error: 'Valid start_number and end_number are required' });
+    }
+    const options = parseQrOptions(req.query, 300, 1024);
+    if (options.error) {
+      logger.warn('Invalid QR code options', { error: options.error, query: req.query });
+      return res.status(400).json({ error: options.error });
+    }
+    const [tables] = await db.query(
+      `SELECT id, table_number, qr_token_version, qr_token_revoked_at
+       FROM tables
+       WHERE table_number BETWEEN ? AND ?
+       ORDER BY CAST(table_number AS UNSIGNED), table_number`,
+      [startNumber, endNumber]
+    );
+    const printable = tables.filter(table => !table.qr_token_revoked_at);
+    if (printable.length === 0) {
+      logger.warn('No tables to print in range', { startNumber, endNumber });
+      return res.status(404).json({ error: 'No tables with a valid token in this range' });
+    }
+    if (printable.length > MAX_SHEET_TABLES) {
+      logger.warn('Too many tables for QR sheet', { count: printable.length });
+      return res.status(400).json({ error: `Cannot print more than ${MAX_SHEET_TABLES} tables on one sheet` });
+    }
+    if (estimateSheetPixels(printable.length, options) > MAX_SHEET_PIXELS) {
+      logger.warn('QR sheet too large', { count: printable.length, size: options.size, columns: options.columns });
+      return res.status(400).json({ error: 'Sheet is too large; print fewer tables, use a smaller size or fewer columns' });
+    }
+    const logo = options.withLogo ? await fetchThemeLogo(db, Math.round(options.size / 4)) : null;
+    const output = renderTableQrCodes(
+      printable.map(table => ({
+        url: buildTableOrderUrl(signTableToken(table.id, table.qr_token_version)),
+        label: `Table ${table.table_number}`,
+      })),
+      { format: options.format, size: options.size, columns: options.columns, logo }
+    );
+    const skipped = tables.filter(table => table.qr_token_revoked_at).map(table => table.table_number);
+    if (skipped.length > 0) {
+      res.set('X-Skipped-Tables', skipped.join(','));
+    }
+    logger.info('Table QR sheet generated', { startNumber, endNumber, count: printable.length, skipped, format: options.format, userId: req.user.id });
+    sendQr(res, output, `tables-${startNumber}-${endNumber}.${options.format}`);
+  } catch (error) {
+    logger.error('Error generating table QR sheet', { error: error.message, query: req.query });
+    res.status(500).json({ error: 'Failed to generate table QR sheet' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// Measure what pricing one order costs against the configured database:
+// queries per call and latency percentiles.
+//
+//   node scripts/benchOrderPricing.js order.json [runs]
+//
+// order.json holds a POST /orders body ({ items, breakfastItems, promotion_id }) whose
+// ids exist in that database. Unit prices are not checked, so they can be left out.
+const fs = require('fs');
+const db = require('../config/db');
+const { priceOrder } = require('../utils/orderPricing');
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+const main = async () => {
+  const [file, runsArg] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node scripts/benchOrderPricing.js order.json [runs]');
+    process.exitCode = 1;
+    return;
+  }
+  const order = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const runs = parseInt(runsArg, 10) > 0 ? parseInt(runsArg, 10) : 200;
+
+  let queries = 0;
+  const query = db.query.bind(db);
+  db.query = (...args) => {
+    queries += 1;
+    return query(...args);
+  };
+
+  // One warm-up call opens the pool connection and surfaces fixture errors
+  const warmUp = await priceOrder(order, { checkUnitPrices: false });
+  if (warmUp.error) {
+    console.error(`Order does not price: ${warmUp.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  queries = 0;
+  const durations = [];
+  for (let run = 0; run < runs; run += 1) {
+    const started = process.hrtime.bigint();
+    await priceOrder(order, { checkUnitPrices: false });
+    durations.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  durations.sort((a, b) => a - b);
+
+  console.log(JSON.stringify({
+    runs,
+    queries_per_order: queries / runs,
+    p50_ms: Number(percentile(durations, 0.5).toFixed(1)),
+    p95_ms: Number(percentile(durations, 0.95).toFixed(1)),
+  }));
+};
+
+main()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end().catch(() => {}));
@@ -87,6 +87,7 @@ const corsOptions = {
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id', 'X-Device-Id'],
+  exposedHeaders: ['X-Skipped-Tables'],
   credentials: true,
 };
 
@@ -210,6 +211,14 @@ const bannerRoutes = require('./routes/bannerRoutes');
 const breakfastRoutes = require('./routes/breakfastRoutes');
 const themeRoutes = require('./routes/themeRoutes');
 const stockRoutes = require('./routes/stockRoutes');
+const tableSessionRoutes = require('./routes/tableSessionRoutes')(io);
+const paymentRoutes = require('./routes/paymentRoutes')(io);
+const openingHoursRoutes = require('./routes/openingHoursRoutes');
+const deliveryZoneRoutes = require('./routes/deliveryZoneRoutes');
+const stationRoutes = require('./routes/stationRoutes');
+const tableTokenRoutes = require('./routes/tableTokenRoutes');
+const tableRequestRoutes = require('./routes/tableRequestRoutes')(io);
+const { startOrderExpiry } = require('./utils/orderExpiry');
 
 app.use('/api', authRoutes);
 app.use('/api', menuRoutes);
@@ -222,6 +231,13 @@ app.use('/api', bannerRoutes);
 app.use('/api', breakfastRoutes);
 app.use('/api', themeRoutes);
 app.use('/api', stockRoutes);
+app.use('/api', tableSessionRoutes);
+app.use('/api', paymentRoutes);
+app.use('/api', openingHoursRoutes);
+app.use('/api', deliveryZoneRoutes);
+app.use('/api', stationRoutes);
+app.use('/api', tableTokenRoutes);
+app.use('/api', tableRequestRoutes);
 
 // Debug route to list all Cloudinary uploads
 app.get('/api/debug/uploads', async (req, res) => {
@@ -346,6 +362,31 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Station displays (bar, kitchen...) only receive the tickets routed to them
+  socket.on('join-station', async (data) => {
+    const { token, stationId } = data || {};
+    const parsedStationId = parseInt(stationId);
+    if (typeof token !== 'string' || !token.trim() || isNaN(parsedStationId) || parsedStationId <= 0) {
+      logger.warn('Invalid station join request', { socketId: socket.id, stationId });
+      socket.emit('auth-error', { message: 'Token and valid station ID required' });
+      return;
+    }
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [decoded.id]);
+      if (rows.length > 0 && ['admin', 'server'].includes(rows[0].role)) {
+        socket.join(`station-${parsedStationId}`);
+        logger.info('Socket joined station room', { socketId: socket.id, userId: decoded.id, stationId: parsedStationId });
+      } else {
+        logger.warn('Unauthorized station join attempt', { socketId: socket.id, userId: decoded.id });
+        socket.emit('auth-error', { message: 'Unauthorized access' });
+      }
+    } catch (error) {
+      logger.warn('Invalid JWT for station join', { error: error.message, socketId: socket.id });
+      socket.emit('auth-error', { message: 'Invalid or expired token' });
+    }
+  });
+
   socket.on('disconnect', () => {
     logger.info('Socket disconnected', { socketId: socket.id });
   });
@@ -356,6 +397,7 @@ server.listen(PORT, '0.0.0.0', async () => {
   try {
     await db.getConnection();
     logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'production'} environment`);
+    startOrderExpiry(io);
   } catch (error) {
     logger.error('Failed to connect to database', { error: error.message });
     process.exit(1);
@@ -0,0 +1,59 @@
+// Catalogue entities that can be archived instead of deleted, and the rows that
+// count as their history. Anything with history may only be archived.
+const ARCHIVABLE = {
+  menu_item: {
+    table: 'menu_items',
+    label: 'Menu item',
+    history: [
+      { key: 'order_lines', query: 'SELECT COUNT(*) AS count FROM order_items WHERE item_id = ?' },
+      { key: 'ratings', query: 'SELECT COUNT(*) AS count FROM ratings WHERE item_id = ?' },
+    ],
+  },
+  breakfast: {
+    table: 'breakfasts',
+    label: 'Breakfast',
+    history: [
+      { key: 'order_lines', query: 'SELECT COUNT(*) AS count FROM order_items WHERE breakfast_id = ?' },
+      { key: 'ratings', query: 'SELECT COUNT(*) AS count FROM breakfast_ratings WHERE breakfast_id = ?' },
+    ],
+  },
+  category: {
+    table: 'categories',
+    label: 'Category',
+    history: [
+      { key: 'order_lines', query: 'SELECT COUNT(*) AS count FROM order_items WHERE category_id = ?' },
+      { key: 'menu_items', query: 'SELECT COUNT(*) AS count FROM menu_items WHERE category_id = ?' },
+      { key: 'breakfasts', query: 'SELECT COUNT(*) AS count FROM breakfasts WHERE category_id = ?' },
+    ],
+  },
+};
+
+// Counts of history rows keyed by kind, only for kinds that have any
+const fetchHistory = async (executor, type, id) => {
+  const history = {};
+  for (const { key, query } of ARCHIVABLE[type].history) {
+    const [rows] = await executor.query(query, [id]);
+    if (rows[0].count > 0) history[key] = rows[0].count;
+  }
+  return history;
+};
+
+// Archive or restore a row; resolves to null when it does not exist
+const setArchived = async (executor, type, id, archived) => {
+  const { table } = ARCHIVABLE[type];
+  const [existing] = await executor.query(`SELECT id, archived_at FROM ${table} WHERE id = ?`, [id]);
+  if (existing.length === 0) return null;
+  if (archived && !existing[0].archived_at) {
+    await executor.query(`UPDATE ${table} SET archived_at = NOW() WHERE id = ?`, [id]);
+  } else if (!archived && existing[0].archived_at) {
+    await executor.query(`UPDATE ${table} SET archived_at = NULL WHERE id = ?`, [id]);
+  }
+  const [rows] = await executor.query(`SELECT id, name, archived_at FROM ${table} WHERE id = ?`, [id]);
+  return rows[0];
+};
+
+module.exports = {
+  ARCHIVABLE,
+  fetchHistory,
+  setArchived,
+};
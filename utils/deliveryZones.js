@@ -0,0 +1,150 @@
+const { roundMoney } = require('./orderPricing');
+
+const ZONE_TYPES = ['postal_code', 'distance'];
+
+// Restaurant location for distance bands; without it only postal code zones can match
+const RESTAURANT_LOCATION = (() => {
+  const latitude = parseFloat(process.env.RESTAURANT_LATITUDE);
+  const longitude = parseFloat(process.env.RESTAURANT_LONGITUDE);
+  return isNaN(latitude) || isNaN(longitude) ? null : { latitude, longitude };
+})();
+
+const normalizePostalCode = (value) => String(value).toUpperCase().replace(/\s+/g, '');
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance from the restaurant, or null when it cannot be computed
+const distanceFromRestaurant = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (!RESTAURANT_LOCATION || isNaN(lat) || isNaN(lng)) return null;
+  const dLat = toRadians(lat - RESTAURANT_LOCATION.latitude);
+  const dLng = toRadians(lng - RESTAURANT_LOCATION.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(RESTAURANT_LOCATION.latitude)) * Math.cos(toRadians(lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 100) / 100;
+};
+
+const formatZone = (zone) => ({
+  ...zone,
+  postal_codes: zone.postal_codes ? zone.postal_codes.split(',') : [],
+  min_distance_km: zone.min_distance_km === null ? null : parseFloat(zone.min_distance_km),
+  max_distance_km: zone.max_distance_km === null ? null : parseFloat(zone.max_distance_km),
+  delivery_fee: roundMoney(zone.delivery_fee),
+  minimum_order_amount: roundMoney(zone.minimum_order_amount),
+  active: Number(zone.active),
+});
+
+const fetchDeliveryZones = async (executor, { activeOnly = true } = {}) => {
+  const [rows] = await executor.query(
+    `SELECT * FROM delivery_zones ${activeOnly ? 'WHERE active = 1' : ''} ORDER BY zone_type, min_distance_km, id`
+  );
+  return rows.map(formatZone);
+};
+
+// Postal code zones win over distance bands; a code ending in * matches by prefix
+const matchDeliveryZone = (zones, { postalCode, distanceKm }) => {
+  if (postalCode) {
+    const code = normalizePostalCode(postalCode);
+    const byCode = zones.find(zone => zone.zone_type === 'postal_code' && zone.postal_codes.some(entry => (
+      entry.endsWith('*') ? code.startsWith(entry.slice(0, -1)) : code === entry
+    )));
+    if (byCode) return byCode;
+  }
+  if (distanceKm !== null && distanceKm !== undefined) {
+    return zones.find(zone => zone.zone_type === 'distance'
+      && distanceKm >= (zone.min_distance_km || 0)
+      && distanceKm < zone.max_distance_km) || null;
+  }
+  return null;
+};
+
+/**
+ * Work out the delivery fee for a delivery order or quote. With no active zones
+ * configured deliveries are unrestricted and free, as before zones existed.
+ * Resolves to `{ error }` when the address is outside every zone or the order is
+ * below the zone minimum, otherwise `{ zone, fee, postalCode, distanceKm }`.
+ * There is no geocoding: a postal code must appear in the delivery address when one
+ * is given, but distance bands trust the coordinates the client sends, so staff
+ * should check the address of distance-priced orders before approving them.
+ */
+const resolveDelivery = async (executor, { delivery_address, delivery_postal_code, delivery_latitude, delivery_longitude }, subtotal) => {
+  const postalCode = delivery_postal_code && String(delivery_postal_code).trim() ? normalizePostalCode(delivery_postal_code) : null;
+  if (postalCode && delivery_address && !normalizePostalCode(delivery_address).includes(postalCode)) {
+    return { error: 'Delivery postal code does not match the delivery address' };
+  }
+  const distanceKm = distanceFromRestaurant(delivery_latitude, delivery_longitude);
+  const zones = await fetchDeliveryZones(executor);
+  if (zones.length === 0) {
+    return { zone: null, fee: 0, postalCode, distanceKm };
+  }
+  if (!postalCode && distanceKm === null) {
+    return { error: 'A delivery postal code or location is required' };
+  }
+  const zone = matchDeliveryZone(zones, { postalCode, distanceKm });
+  if (!zone) {
+    return { error: 'Delivery address is outside our delivery zones' };
+  }
+  if (roundMoney(subtotal) < zone.minimum_order_amount) {
+    return { error: `Minimum order for delivery to ${zone.name} is ${zone.minimum_order_amount.toFixed(2)}` };
+  }
+  return { zone, fee: zone.delivery_fee, postalCode, distanceKm };
+};
+
+// Check an admin-supplied zone; resolves to `{ error }` or the column values
+const parseDeliveryZone = ({ name, zone_type, postal_codes, min_distance_km, max_distance_km, delivery_fee, minimum_order_amount, eta_minutes, active }) => {
+  if (!name || !String(name).trim() || String(name).trim().length > 100) {
+    return { error: 'Name is required (at most 100 characters)' };
+  }
+  if (!ZONE_TYPES.includes(zone_type)) {
+    return { error: `zone_type must be one of: ${ZONE_TYPES.join(', ')}` };
+  }
+  const fee = parseFloat(delivery_fee ?? 0);
+  const minimum = parseFloat(minimum_order_amount ?? 0);
+  if (isNaN(fee) || fee < 0 || isNaN(minimum) || minimum < 0) {
+    return { error: 'delivery_fee and minimum_order_amount must be non-negative numbers' };
+  }
+  const eta = eta_minutes === undefined || eta_minutes === null || eta_minutes === '' ? null : parseInt(eta_minutes);
+  if (eta !== null && (isNaN(eta) || eta <= 0)) {
+    return { error: 'eta_minutes must be a positive integer' };
+  }
+
+  const zone = {
+    name: String(name).trim(),
+    zone_type,
+    postal_codes: null,
+    min_distance_km: null,
+    max_distance_km: null,
+    delivery_fee: roundMoney(fee),
+    minimum_order_amount: roundMoney(minimum),
+    eta_minutes: eta,
+    active: active === undefined ? 1 : (active === true || active === 1 || active === '1' ? 1 : 0),
+  };
+
+  if (zone_type === 'postal_code') {
+    const codes = (Array.isArray(postal_codes) ? postal_codes : String(postal_codes || '').split(','))
+      .map(code => normalizePostalCode(code))
+      .filter(Boolean);
+    if (codes.length === 0 || codes.some(code => !/^[A-Z0-9-]+\*?$/.test(code))) {
+      return { error: 'postal_codes must list one or more postal codes (a trailing * matches a prefix)' };
+    }
+    zone.postal_codes = Array.from(new Set(codes)).join(',');
+  } else {
+    const min = parseFloat(min_distance_km ?? 0);
+    const max = parseFloat(max_distance_km);
+    if (isNaN(min) || isNaN(max) || min < 0 || max <= min) {
+      return { error: 'max_distance_km must be greater than min_distance_km (default 0)' };
+    }
+    zone.min_distance_km = min;
+    zone.max_distance_km = max;
+  }
+  return { zone };
+};
+
+module.exports = {
+  ZONE_TYPES,
+  fetchDeliveryZones,
+  matchDeliveryZone,
+  resolveDelivery,
+  parseDeliveryZone,
+};
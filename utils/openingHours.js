@@ -0,0 +1,77 @@
+// Weekly opening hours used to validate scheduled pickups. Days follow Date#getDay
+// (0 = Sunday) and times are read in RESTAURANT_TIMEZONE, defaulting to the server's zone.
+const RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+const formatTime = (time) => {
+  const minutes = toMinutes(time);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const fetchOpeningHours = async (executor) => {
+  const [rows] = await executor.query(
+    'SELECT day_of_week, open_time, close_time FROM opening_hours ORDER BY day_of_week, open_time'
+  );
+  return rows.map(row => ({ day_of_week: row.day_of_week, open_time: formatTime(row.open_time), close_time: formatTime(row.close_time) }));
+};
+
+// Day of week and minutes past midnight of `date` in the restaurant's timezone
+const localTime = (date) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: RESTAURANT_TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10) };
+};
+
+const isOpenAt = (hours, date) => {
+  if (hours.length === 0) return true;
+  const { day, minutes } = localTime(date);
+  const previousDay = (day + 6) % 7;
+  return hours.some(({ day_of_week, open_time, close_time }) => {
+    const open = toMinutes(open_time);
+    const close = toMinutes(close_time);
+    if (open < close) {
+      return day_of_week === day && minutes >= open && minutes < close;
+    }
+    // Runs past midnight: the evening of its own day or the early hours of the next
+    return (day_of_week === day && minutes >= open) || (day_of_week === previousDay && minutes < close);
+  });
+};
+
+// Check an admin-supplied schedule; resolves to `{ error }` or the normalised rows
+const parseOpeningHours = (hours) => {
+  if (!Array.isArray(hours)) {
+    return { error: 'hours must be an array' };
+  }
+  const parsed = [];
+  for (const entry of hours) {
+    const day = parseInt(entry?.day_of_week);
+    if (isNaN(day) || day < 0 || day > 6) {
+      return { error: 'day_of_week must be between 0 (Sunday) and 6 (Saturday)' };
+    }
+    if (!TIME_PATTERN.test(String(entry.open_time)) || !TIME_PATTERN.test(String(entry.close_time))) {
+      return { error: 'open_time and close_time must be in HH:mm format' };
+    }
+    if (toMinutes(entry.open_time) === toMinutes(entry.close_time)) {
+      return { error: 'open_time and close_time must differ' };
+    }
+    parsed.push({ day_of_week: day, open_time: formatTime(entry.open_time), close_time: formatTime(entry.close_time) });
+  }
+  return { hours: parsed };
+};
+
+module.exports = {
+  RESTAURANT_TIMEZONE,
+  fetchOpeningHours,
+  isOpenAt,
+  parseOpeningHours,
+};
@@ -0,0 +1,137 @@
+const logger = require('../logger');
+const { computeIngredientUsage } = require('./orderStock');
+const { recordOrderEvent } = require('./orderEvents');
+const { syncStationTickets } = require('./orderStations');
+const { canTransition } = require('./orderStatus');
+
+/**
+ * Approve orders inside the caller's transaction, deducting stock exactly once per order.
+ * Orders are locked in id order, their ingredient usage is combined so each ingredient
+ * row is locked and updated once, and stock is handed out oldest order first. One order
+ * failing (e.g. insufficient stock) does not block the others. Approved orders are
+ * split into preparation station tickets.
+ * Resolves to one result per requested id, in request order:
+ * `{ order_id, ok: true, order, ingredientUsage, stationIds }` or `{ order_id, ok: false, status, error }`.
+ */
+const approveOrders = async (connection, orderIds, { actorId = null, details = null } = {}) => {
+  const results = new Map();
+  const fail = (orderId, status, error) => results.set(orderId, { order_id: orderId, ok: false, status, error });
+
+  const [orderRows] = await connection.query(
+    'SELECT id, session_id, approved, status, created_at FROM orders WHERE id IN (?) ORDER BY id FOR UPDATE',
+    [orderIds]
+  );
+  const ordersById = new Map(orderRows.map(order => [order.id, order]));
+
+  const [deductionRows] = await connection.query(
+    'SELECT DISTINCT order_id FROM stock_transactions WHERE order_id IN (?) AND transaction_type = ?',
+    [orderIds, 'deduction']
+  );
+  const alreadyDeducted = new Set(deductionRows.map(row => row.order_id));
+
+  const eligible = [];
+  for (const orderId of orderIds) {
+    const order = ordersById.get(orderId);
+    if (!order) {
+      fail(orderId, 404, 'Order not found');
+    } else if (order.approved && order.status !== 'cancelled') {
+      logger.warn('Order already approved - preventing duplicate stock deduction', { orderId, currentStatus: order.status });
+      fail(orderId, 400, 'Order already approved');
+    } else if (!canTransition(order.status, 'preparing')) {
+      // Covers orders cancelled before anyone approved them
+      logger.warn('Order cannot be approved from its current status', { orderId, currentStatus: order.status });
+      fail(orderId, 400, `Cannot approve an order that is ${order.status}`);
+    } else if (alreadyDeducted.has(orderId)) {
+      logger.warn('Stock already deducted for this order - preventing duplicate deduction', { orderId });
+      fail(orderId, 400, 'Stock already deducted for this order');
+    } else {
+      eligible.push({ order, ingredientUsage: await computeIngredientUsage(connection, orderId) });
+    }
+  }
+  eligible.sort((a, b) => (a.order.created_at - b.order.created_at) || (a.order.id - b.order.id));
+
+  const ingredientIds = Array.from(new Set(eligible.flatMap(({ ingredientUsage }) => Array.from(ingredientUsage.keys()))));
+  const stock = new Map();
+  if (ingredientIds.length > 0) {
+    const [stockRows] = await connection.query(
+      'SELECT id, name, quantity_in_stock FROM ingredients WHERE id IN (?) ORDER BY id FOR UPDATE',
+      [ingredientIds]
+    );
+    for (const row of stockRows) {
+      stock.set(row.id, { name: row.name, available: parseFloat(row.quantity_in_stock), deducted: 0 });
+    }
+  }
+
+  const approved = [];
+  for (const { order, ingredientUsage } of eligible) {
+    let failure = null;
+    for (const [ingredientId, requiredQuantity] of ingredientUsage) {
+      const ingredient = stock.get(ingredientId);
+      if (!ingredient) {
+        failure = `Ingredient ID ${ingredientId} not found`;
+        break;
+      }
+      if (ingredient.available < requiredQuantity) {
+        logger.warn('Insufficient stock', {
+          ingredientId,
+          ingredientName: ingredient.name,
+          required: requiredQuantity,
+          available: ingredient.available,
+          orderId: order.id,
+        });
+        failure = `Insufficient stock for ${ingredient.name}. Required: ${requiredQuantity}, Available: ${ingredient.available}`;
+        break;
+      }
+    }
+    if (failure) {
+      fail(order.id, 400, failure);
+      continue;
+    }
+    for (const [ingredientId, requiredQuantity] of ingredientUsage) {
+      const ingredient = stock.get(ingredientId);
+      ingredient.available -= requiredQuantity;
+      ingredient.deducted += requiredQuantity;
+    }
+    approved.push({ order, ingredientUsage });
+  }
+
+  for (const [ingredientId, ingredient] of stock) {
+    if (ingredient.deducted === 0) continue;
+    await connection.query(
+      'UPDATE ingredients SET quantity_in_stock = ?, updated_at = NOW() WHERE id = ?',
+      [ingredient.available, ingredientId]
+    );
+  }
+
+  for (const { order, ingredientUsage } of approved) {
+    // One stock transaction per order and ingredient keeps restoration on cancel per order
+    for (const [ingredientId, requiredQuantity] of ingredientUsage) {
+      await connection.query(
+        'INSERT INTO stock_transactions (ingredient_id, quantity, transaction_type, order_id, reason) VALUES (?, ?, ?, ?, ?)',
+        [ingredientId, -requiredQuantity, 'deduction', order.id, 'Order approval']
+      );
+    }
+    await connection.query(
+      'UPDATE orders SET approved = 1, status = ?, status_updated_at = NOW() WHERE id = ?',
+      ['preparing', order.id]
+    );
+    await recordOrderEvent(connection, order.id, 'stock_deducted', {
+      actorId,
+      details: { ingredients: Object.fromEntries(ingredientUsage) },
+    });
+    await recordOrderEvent(connection, order.id, 'approved', {
+      actorId,
+      fromStatus: order.status,
+      toStatus: 'preparing',
+      details,
+    });
+    const { created } = await syncStationTickets(connection, order.id);
+    results.set(order.id, { order_id: order.id, ok: true, order, ingredientUsage, stationIds: created });
+  }
+
+  return orderIds.map(orderId => results.get(orderId));
+};
+
+module.exports = {
+  approveOrders,
+};
@@ -0,0 +1,109 @@
+const logger = require('../logger');
+const { computeIngredientUsage } = require('./orderStock');
+const { recordOrderEvent } = require('./orderEvents');
+const { releaseTableIfIdle } = require('./tableSessions');
+
+/**
+ * Cancel an order inside the caller's transaction: lock it, optionally put its
+ * stock back, mark it cancelled, log the event and free its table when nothing
+ * else is live on it. Used by POST /orders/:id/cancel and the expiry job.
+ * Resolves to `{ status, error }` when the order cannot be cancelled (the caller
+ * rolls back), `{ skipped: true }` when `onlyIfUnapproved` is set and the order
+ * was approved in the meantime, or the locked order row with what was done
+ * (restored ingredient usage and the ids of any tables freed).
+ */
+const cancelOrder = async (connection, orderId, { actorId = null, reason = null, restoreStock = false, onlyIfUnapproved = false, details = {} } = {}) => {
+  const [orderRows] = await connection.query(
+    'SELECT id, session_id, status, approved, table_id, table_session_id FROM orders WHERE id = ? FOR UPDATE',
+    [orderId]
+  );
+
+  if (orderRows.length === 0) {
+    return { status: 404, error: 'Order not found' };
+  }
+  const order = orderRows[0];
+
+  if (order.status === 'cancelled') {
+    return { status: 400, error: 'Order already cancelled' };
+  }
+  if (onlyIfUnapproved && order.approved) {
+    return { skipped: true };
+  }
+
+  let ingredientUsage = null;
+
+  // Only attempt restoration if requested and order was previously approved
+  if (restoreStock === true && order.approved) {
+    // Prevent double restoration
+    const [existingRestorations] = await connection.query(
+      'SELECT id FROM stock_transactions WHERE order_id = ? AND reason = ? LIMIT 1',
+      [orderId, 'Order cancellation stock restoration']
+    );
+    if (existingRestorations.length > 0) {
+      return { status: 400, error: 'Stock already restored for this order' };
+    }
+
+    // Verify a deduction actually occurred
+    const [deductionsExist] = await connection.query(
+      'SELECT id FROM stock_transactions WHERE order_id = ? AND transaction_type = ? LIMIT 1',
+      [orderId, 'deduction']
+    );
+
+    if (deductionsExist.length === 0) {
+      logger.warn('No prior deduction found for order; skipping stock restoration', { orderId });
+    } else {
+      ingredientUsage = await computeIngredientUsage(connection, orderId);
+
+      for (const [ingredientId, qtyToRestore] of ingredientUsage) {
+        const [stockRows] = await connection.query(
+          'SELECT id, name, quantity_in_stock FROM ingredients WHERE id = ? FOR UPDATE',
+          [ingredientId]
+        );
+        if (stockRows.length === 0) {
+          return { status: 400, error: `Ingredient ID ${ingredientId} not found during restoration` };
+        }
+        const currentQty = parseFloat(stockRows[0].quantity_in_stock);
+        const newQty = currentQty + parseFloat(qtyToRestore);
+        await connection.query(
+          'UPDATE ingredients SET quantity_in_stock = ?, updated_at = NOW() WHERE id = ?',
+          [newQty, ingredientId]
+        );
+
+        await connection.query(
+          'INSERT INTO stock_transactions (ingredient_id, quantity, transaction_type, order_id, reason) VALUES (?, ?, ?, ?, ?)',
+          [ingredientId, qtyToRestore, 'addition', orderId, 'Order cancellation stock restoration']
+        );
+
+        logger.debug('Stock restored for ingredient', {
+          ingredientId,
+          ingredientName: stockRows[0].name,
+          restored: qtyToRestore,
+          previousStock: currentQty,
+          newStock: newQty,
+          orderId,
+        });
+      }
+      await recordOrderEvent(connection, orderId, 'stock_restored', {
+        actorId,
+        details: { ingredients: Object.fromEntries(ingredientUsage) },
+      });
+    }
+  }
+
+  await connection.query('UPDATE orders SET status = ?, approved = 0, status_updated_at = NOW() WHERE id = ?', ['cancelled', orderId]);
+  await recordOrderEvent(connection, orderId, 'cancelled', {
+    actorId,
+    fromStatus: order.status,
+    toStatus: 'cancelled',
+    reason,
+    details: { restoreStock: restoreStock === true, was_approved: Number(order.approved), ...details },
+  });
+
+  const releasedTableIds = await releaseTableIfIdle(connection, order.table_id, order.table_session_id);
+
+  return { order, ingredientUsage, releasedTableIds };
+};
+
+module.exports = {
+  cancelOrder,
+};
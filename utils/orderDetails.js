@@ -0,0 +1,132 @@
+const { roundMoney } = require('./orderPricing');
+const { paymentStatus } = require('./payments');
+
+// Order columns the shared representation exposes. The idempotency key and its hash
+// are left out: anyone holding a guest's request_id could replay against it.
+const ORDER_COLUMNS = [
+  'id', 'user_id', 'session_id', 'table_id', 'table_session_id', 'order_type', 'status', 'approved',
+  'total_price', 'promotion_id', 'notes', 'delivery_address', 'delivery_zone_id', 'delivery_fee',
+  'delivery_postal_code', 'delivery_distance_km', 'customer_name', 'customer_phone', 'scheduled_for',
+  'pickup_code', 'estimated_ready_at', 'quoted_ready_at', 'created_at', 'status_updated_at', 'ready_at', 'delivered_at',
+];
+
+// Contact details, the pickup code that proves who is collecting, and the session that
+// owns the order: only for staff and the ordering guest's own session
+const PRIVATE_ORDER_FIELDS = ['session_id', 'customer_name', 'customer_phone', 'pickup_code', 'delivery_address', 'delivery_postal_code'];
+
+const toPrice = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Load orders with their lines as nested objects: order -> items -> supplements/options.
+ * This is the one representation used by the order routes and the Socket.IO payloads.
+ * Names and prices come from the snapshots stored on the order lines, so renaming or
+ * deleting a product never rewrites past orders. Fully voided lines (quantity 0) are
+ * left out. `executor` is either the pool or a transaction connection so callers can
+ * read their own uncommitted writes. Resolves to the orders in the order of `orderIds`;
+ * ids that do not exist are skipped.
+ */
+const fetchOrderDetailsList = async (executor, orderIds) => {
+  if (orderIds.length === 0) return [];
+  const [orders] = await executor.query(
+    `SELECT ${ORDER_COLUMNS.map(column => `o.${column}`).join(', ')}, t.table_number,
+            (SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.order_id = o.id) AS paid_amount
+     FROM orders o
+     LEFT JOIN tables t ON o.table_id = t.id
+     WHERE o.id IN (?)`,
+    [orderIds]
+  );
+  if (orders.length === 0) return [];
+
+  const [lines] = await executor.query(
+    `SELECT oi.id, oi.order_id, oi.line_type, oi.item_id, oi.breakfast_id, oi.item_name, oi.category_id, oi.category_name,
+            oi.quantity, oi.base_price, oi.unit_price, oi.station_id,
+            CASE WHEN oi.line_type = 'breakfast' THEN b.image_url ELSE mi.image_url END AS image_url
+     FROM order_items oi
+     LEFT JOIN menu_items mi ON oi.item_id = mi.id
+     LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+     WHERE oi.order_id IN (?) AND oi.quantity > 0
+     ORDER BY oi.id`,
+    [orders.map(order => order.id)]
+  );
+
+  const supplementsByLine = new Map();
+  const optionsByLine = new Map();
+  if (lines.length > 0) {
+    const lineIds = lines.map(line => line.id);
+    const [supplements] = await executor.query(
+      `SELECT order_item_id, supplement_id, supplement_name, additional_price
+       FROM order_item_supplements WHERE order_item_id IN (?) ORDER BY id`,
+      [lineIds]
+    );
+    const [options] = await executor.query(
+      `SELECT order_item_id, breakfast_option_id, option_name, additional_price
+       FROM breakfast_order_options WHERE order_item_id IN (?) ORDER BY id`,
+      [lineIds]
+    );
+    for (const supplement of supplements) {
+      if (!supplementsByLine.has(supplement.order_item_id)) supplementsByLine.set(supplement.order_item_id, []);
+      supplementsByLine.get(supplement.order_item_id).push({
+        supplement_id: supplement.supplement_id,
+        name: supplement.supplement_name,
+        additional_price: toPrice(supplement.additional_price),
+      });
+    }
+    for (const option of options) {
+      if (!optionsByLine.has(option.order_item_id)) optionsByLine.set(option.order_item_id, []);
+      optionsByLine.get(option.order_item_id).push({
+        option_id: option.breakfast_option_id,
+        option_name: option.option_name,
+        additional_price: toPrice(option.additional_price),
+      });
+    }
+  }
+
+  const itemsByOrder = new Map();
+  for (const line of lines) {
+    if (!itemsByOrder.has(line.order_id)) itemsByOrder.set(line.order_id, []);
+    const unitPrice = toPrice(line.unit_price);
+    itemsByOrder.get(line.order_id).push({
+      order_item_id: line.id,
+      line_type: line.line_type,
+      item_id: line.item_id,
+      breakfast_id: line.breakfast_id,
+      name: line.item_name,
+      category_id: line.category_id,
+      category_name: line.category_name,
+      image_url: line.image_url,
+      station_id: line.station_id,
+      quantity: line.quantity,
+      base_price: toPrice(line.base_price),
+      unit_price: unitPrice,
+      line_total: roundMoney(unitPrice * line.quantity),
+      supplements: line.line_type === 'menu' ? supplementsByLine.get(line.id) || [] : [],
+      options: line.line_type === 'breakfast' ? optionsByLine.get(line.id) || [] : [],
+    });
+  }
+
+  const ordersById = new Map(orders.map(order => [order.id, {
+    ...order,
+    approved: Number(order.approved),
+    payment_status: paymentStatus(order.total_price, order.paid_amount),
+    items: itemsByOrder.get(order.id) || [],
+  }]));
+  return orderIds.map(orderId => ordersById.get(Number(orderId))).filter(Boolean);
+};
+
+// A single order in the shared nested representation, or null when it does not exist
+const fetchOrderDetails = async (executor, orderId) => {
+  const [order] = await fetchOrderDetailsList(executor, [orderId]);
+  return order || null;
+};
+
+// An order as shown to someone who is neither staff nor the guest who placed it
+const publicOrderDetails = (order) => Object.fromEntries(
+  Object.entries(order).filter(([field]) => !PRIVATE_ORDER_FIELDS.includes(field))
+);
+
+module.exports = {
+  PRIVATE_ORDER_FIELDS,
+  publicOrderDetails,
+  fetchOrderDetailsList,
+  fetchOrderDetails,
+};
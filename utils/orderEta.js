@@ -0,0 +1,134 @@
+const db = require('../config/db');
+const logger = require('../logger');
+
+const readPositiveInt = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Used for products without their own prep_time_minutes
+const DEFAULT_PREP_MINUTES = readPositiveInt('DEFAULT_PREP_MINUTES', 10);
+// How many orders the kitchen works on at once
+const KITCHEN_CAPACITY = readPositiveInt('KITCHEN_CAPACITY', 3);
+const MAX_PREP_MINUTES = 600;
+
+// Check a prep time from an admin form; '' or null clears it back to the default
+const parsePrepMinutes = (value) => {
+  if (value === undefined) return { skip: true };
+  if (value === null || value === '') return { value: null };
+  const minutes = parseInt(value);
+  if (isNaN(minutes) || minutes <= 0 || minutes > MAX_PREP_MINUTES) {
+    return { error: `Prep time must be between 1 and ${MAX_PREP_MINUTES} minutes` };
+  }
+  return { value: minutes };
+};
+
+// An order's lines are prepared side by side, so it takes as long as its slowest line
+const fetchOrderPrepMinutes = async (executor, orderIds) => {
+  const prepMinutes = new Map();
+  if (orderIds.length === 0) return prepMinutes;
+  const [rows] = await executor.query(
+    `SELECT oi.order_id,
+            MAX(COALESCE(CASE WHEN oi.line_type = 'menu' THEN mi.prep_time_minutes ELSE b.prep_time_minutes END, ?)) AS prep_minutes
+     FROM order_items oi
+     LEFT JOIN menu_items mi ON oi.item_id = mi.id
+     LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+     WHERE oi.order_id IN (?) AND oi.quantity > 0
+     GROUP BY oi.order_id`,
+    [DEFAULT_PREP_MINUTES, orderIds]
+  );
+  for (const row of rows) {
+    prepMinutes.set(row.order_id, parseInt(row.prep_minutes));
+  }
+  return prepMinutes;
+};
+
+/**
+ * Estimate when each order in the kitchen queue will be ready. Orders in `preparing`
+ * are worked on KITCHEN_CAPACITY at a time in the order they started; `pendingOrderIds`
+ * (not yet approved) are placed at the back of the queue as if they started now.
+ * Resolves to a Map of order id to estimated ready Date.
+ */
+const estimateKitchenQueue = async (executor, { pendingOrderIds = [], now = new Date() } = {}) => {
+  const [preparing] = await executor.query(
+    `SELECT id, COALESCE(status_updated_at, created_at) AS started_at
+     FROM orders
+     WHERE status = 'preparing'
+     ORDER BY started_at ASC, id ASC`
+  );
+  const queue = [
+    ...preparing.map(order => ({ id: order.id, startedAt: new Date(order.started_at) })),
+    ...pendingOrderIds.filter(id => !preparing.some(order => order.id === id)).map(id => ({ id, startedAt: now })),
+  ];
+  const prepMinutes = await fetchOrderPrepMinutes(executor, queue.map(order => order.id));
+
+  const slots = Array(KITCHEN_CAPACITY).fill(now.getTime());
+  const estimates = new Map();
+  for (const order of queue) {
+    const slot = slots.indexOf(Math.min(...slots));
+    const start = Math.max(slots[slot], order.startedAt.getTime());
+    // Overdue orders are expected any moment rather than in the past
+    const readyAt = Math.max(start + (prepMinutes.get(order.id) || DEFAULT_PREP_MINUTES) * 60 * 1000, now.getTime());
+    slots[slot] = readyAt;
+    estimates.set(order.id, new Date(readyAt));
+  }
+  return estimates;
+};
+
+/**
+ * Recompute the ETA of every order in the kitchen after the queue changed, store it
+ * and push `orderEta` to the guest and staff rooms for the orders whose ETA moved by a
+ * minute or more. The first ETA an order gets becomes its quoted_ready_at. Never throws:
+ * a failed refresh only leaves ETAs stale. Resolves to the Map of estimates.
+ */
+const refreshOrderEtas = async (io) => {
+  try {
+    const estimates = await estimateKitchenQueue(db);
+    if (estimates.size === 0) return estimates;
+    const [orders] = await db.query(
+      'SELECT id, session_id, estimated_ready_at, quoted_ready_at FROM orders WHERE id IN (?)',
+      [Array.from(estimates.keys())]
+    );
+    for (const order of orders) {
+      const estimate = estimates.get(order.id);
+      const previous = order.estimated_ready_at ? new Date(order.estimated_ready_at) : null;
+      if (order.quoted_ready_at && previous && Math.abs(previous.getTime() - estimate.getTime()) < 60 * 1000) continue;
+      await db.query(
+        'UPDATE orders SET estimated_ready_at = ?, quoted_ready_at = COALESCE(quoted_ready_at, ?) WHERE id = ?',
+        [estimate, estimate, order.id]
+      );
+      const payload = { orderId: order.id.toString(), estimatedReadyAt: estimate.toISOString() };
+      io.to(`guest-${order.session_id}`).emit('orderEta', payload);
+      io.to('staff-notifications').emit('orderEta', payload);
+    }
+    return estimates;
+  } catch (error) {
+    logger.error('Error refreshing order ETAs', { error: error.message });
+    return new Map();
+  }
+};
+
+// ETA for an order still waiting for approval, stored so order views can show it.
+// Never throws; resolves to the estimate or null.
+const estimatePendingOrder = async (orderId) => {
+  try {
+    const estimates = await estimateKitchenQueue(db, { pendingOrderIds: [orderId] });
+    const estimate = estimates.get(orderId) || null;
+    if (estimate) {
+      await db.query('UPDATE orders SET estimated_ready_at = ? WHERE id = ?', [estimate, orderId]);
+    }
+    return estimate;
+  } catch (error) {
+    logger.error('Error estimating order ETA', { error: error.message, orderId });
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_PREP_MINUTES,
+  KITCHEN_CAPACITY,
+  parsePrepMinutes,
+  estimateKitchenQueue,
+  refreshOrderEtas,
+  estimatePendingOrder,
+};
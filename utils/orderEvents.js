@@ -0,0 +1,48 @@
+const ORDER_EVENT_TYPES = [
+  'created',
+  'approved',
+  'unapproved',
+  'stock_deducted',
+  'status_changed',
+  'cancelled',
+  'stock_restored',
+  'lines_changed',
+  'line_voided',
+  'table_changed',
+  'station_done',
+];
+
+// Append an event to the order's audit trail. Pass the transaction connection so
+// the event commits or rolls back together with the change it describes.
+const recordOrderEvent = async (executor, orderId, eventType, { actorId = null, sessionId = null, fromStatus = null, toStatus = null, reason = null, details = null } = {}) => {
+  if (!ORDER_EVENT_TYPES.includes(eventType)) {
+    throw new Error(`Unknown order event type: ${eventType}`);
+  }
+  await executor.query(
+    `INSERT INTO order_events (order_id, event_type, from_status, to_status, actor_id, session_id, reason, details)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [orderId, eventType, fromStatus, toStatus, actorId, sessionId, reason, details ? JSON.stringify(details) : null]
+  );
+};
+
+const fetchOrderEvents = async (executor, orderId) => {
+  const [rows] = await executor.query(
+    `SELECT e.id, e.order_id, e.event_type, e.from_status, e.to_status, e.actor_id, u.email AS actor_email, u.role AS actor_role,
+            e.session_id, e.reason, e.details, e.created_at
+     FROM order_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     WHERE e.order_id = ?
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [orderId]
+  );
+  return rows.map(row => ({
+    ...row,
+    details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details,
+  }));
+};
+
+module.exports = {
+  ORDER_EVENT_TYPES,
+  recordOrderEvent,
+  fetchOrderEvents,
+};
@@ -0,0 +1,103 @@
+const db = require('../config/db');
+const logger = require('../logger');
+const { cancelOrder } = require('./orderCancellation');
+const { fetchOrderDetails } = require('./orderDetails');
+
+// Minutes an unapproved order may wait before it is cancelled, per order_type.
+// Override with ORDER_EXPIRY_MINUTES_<TYPE> (e.g. ORDER_EXPIRY_MINUTES_LOCAL=20); 0 disables expiry for that type.
+const DEFAULT_EXPIRY_MINUTES = {
+  local: 30,
+  delivery: 45,
+  takeaway: 30,
+  imported: 0,
+};
+
+const readNonNegativeInt = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const EXPIRY_MINUTES = Object.fromEntries(
+  Object.entries(DEFAULT_EXPIRY_MINUTES).map(([type, minutes]) => [type, readNonNegativeInt(`ORDER_EXPIRY_MINUTES_${type.toUpperCase()}`, minutes)])
+);
+const EXPIRY_INTERVAL_MS = readNonNegativeInt('ORDER_EXPIRY_INTERVAL_SECONDS', 60) * 1000;
+const EXPIRY_BATCH_SIZE = 50;
+
+let running = false;
+
+// Cancel every stale unapproved order through the same path as POST /orders/:id/cancel.
+// Scheduled pickups only count as stale once their pickup time has passed.
+const expireStaleOrders = async (io) => {
+  if (running) return 0;
+  running = true;
+  let expired = 0;
+  try {
+    for (const [orderType, minutes] of Object.entries(EXPIRY_MINUTES)) {
+      if (!minutes) continue;
+      const [candidates] = await db.query(
+        `SELECT id FROM orders
+         WHERE approved = 0 AND status IN ('pending', 'received') AND order_type = ?
+           AND COALESCE(scheduled_for, created_at) < NOW() - INTERVAL ? MINUTE
+         ORDER BY COALESCE(scheduled_for, created_at) ASC
+         LIMIT ?`,
+        [orderType, minutes, EXPIRY_BATCH_SIZE]
+      );
+
+      for (const { id: orderId } of candidates) {
+        const connection = await db.getConnection();
+        try {
+          await connection.beginTransaction();
+          // Re-checked under lock: staff may have approved it since the scan
+          const result = await cancelOrder(connection, orderId, {
+            reason: 'expired',
+            onlyIfUnapproved: true,
+            details: { expired_after_minutes: minutes },
+          });
+          if (result.error || result.skipped) {
+            await connection.rollback();
+            continue;
+          }
+          const { order, releasedTableIds } = result;
+          const orderDetails = await fetchOrderDetails(connection, orderId);
+          await connection.commit();
+          expired += 1;
+
+          const payload = { orderId: orderId.toString(), status: 'cancelled', reason: 'expired', orderDetails };
+          io.to(`guest-${order.session_id}`).emit('orderCancelled', payload);
+          io.to('staff-notifications').emit('orderCancelled', payload);
+          for (const tableId of releasedTableIds) {
+            io.emit('tableStatusUpdate', { table_id: tableId, status: 'available', table_session_id: order.table_session_id });
+          }
+          logger.info('Unapproved order expired', { orderId, orderType, minutes, releasedTableIds });
+        } catch (error) {
+          await connection.rollback();
+          logger.error('Error expiring order', { error: error.message, orderId });
+        } finally {
+          connection.release();
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error scanning for stale orders', { error: error.message });
+  } finally {
+    running = false;
+  }
+  return expired;
+};
+
+const startOrderExpiry = (io) => {
+  if (!EXPIRY_INTERVAL_MS) {
+    logger.info('Order expiry disabled');
+    return null;
+  }
+  const timer = setInterval(() => expireStaleOrders(io), EXPIRY_INTERVAL_MS);
+  timer.unref();
+  logger.info('Order expiry scheduled', { intervalMs: EXPIRY_INTERVAL_MS, minutesByType: EXPIRY_MINUTES });
+  return timer;
+};
+
+module.exports = {
+  EXPIRY_MINUTES,
+  expireStaleOrders,
+  startOrderExpiry,
+};
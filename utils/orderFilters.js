@@ -0,0 +1,176 @@
+const { ORDER_STATUS_TRANSITIONS } = require('./orderStatus');
+
+const ORDER_TYPES = ['local', 'delivery', 'takeaway', 'imported'];
+
+// Sortable columns for GET /orders. The cursor stores the sort value as text, so
+// timestamps are formatted to second precision to compare cleanly in SQL.
+const ORDER_SORTS = {
+  created_at: { column: 'o.created_at', value: "DATE_FORMAT(o.created_at, '%Y-%m-%d %H:%i:%s')" },
+  status_updated_at: { column: 'COALESCE(o.status_updated_at, o.created_at)', value: "DATE_FORMAT(COALESCE(o.status_updated_at, o.created_at), '%Y-%m-%d %H:%i:%s')" },
+  total_price: { column: 'o.total_price', value: 'CAST(o.total_price AS CHAR)' },
+  scheduled_for: { column: 'COALESCE(o.scheduled_for, o.created_at)', value: "DATE_FORMAT(COALESCE(o.scheduled_for, o.created_at), '%Y-%m-%d %H:%i:%s')" },
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded === null || typeof decoded !== 'object' || typeof decoded.v !== 'string' || !Number.isInteger(decoded.id)) {
+      return null;
+    }
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Turn GET /orders query parameters into WHERE clauses, sort and page settings.
+ * Resolves to `{ error }` with a client-facing message on invalid input.
+ */
+const buildOrderFilters = (query, user) => {
+  const {
+    time_range, approved, status, order_type, table_number, start_date, end_date,
+    promotion_id, q, pickup_from, pickup_to, upcoming_pickups, sort = 'created_at', direction = 'desc', limit, cursor,
+  } = query;
+  const whereClauses = [];
+  const params = [];
+
+  if (time_range === 'hour') {
+    whereClauses.push('o.created_at >= NOW() - INTERVAL 1 HOUR');
+  } else if (time_range === 'day') {
+    whereClauses.push('o.created_at >= CURDATE()');
+  } else if (time_range === 'yesterday') {
+    whereClauses.push('o.created_at >= CURDATE() - INTERVAL 1 DAY AND o.created_at < CURDATE()');
+  } else if (time_range === 'week') {
+    whereClauses.push('o.created_at >= CURDATE() - INTERVAL 7 DAY');
+  } else if (time_range === 'month') {
+    whereClauses.push('o.created_at >= CURDATE() - INTERVAL 30 DAY');
+  }
+
+  if (approved === '1') {
+    whereClauses.push('o.approved = 1');
+  } else if (approved === '0') {
+    whereClauses.push('o.approved = 0');
+  }
+
+  if (status) {
+    const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = statuses.filter(s => !Object.keys(ORDER_STATUS_TRANSITIONS).includes(s));
+    if (statuses.length === 0 || invalid.length > 0) {
+      return { error: `Status must be one or more of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(', ')}` };
+    }
+    whereClauses.push("COALESCE(o.status, 'pending') IN (?)");
+    params.push(statuses);
+  }
+
+  if (order_type) {
+    if (!ORDER_TYPES.includes(order_type)) {
+      return { error: `Order type must be one of: ${ORDER_TYPES.join(', ')}` };
+    }
+    whereClauses.push('o.order_type = ?');
+    params.push(order_type);
+  }
+
+  if (table_number) {
+    whereClauses.push('t.table_number = ?');
+    params.push(String(table_number).trim());
+  }
+
+  for (const [name, value, operator] of [['start_date', start_date, '>='], ['end_date', end_date, '<=']]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${name}` };
+    }
+    whereClauses.push(`o.created_at ${operator} ?`);
+    params.push(date);
+  }
+
+  // Pickups are due at their scheduled time, or as soon as possible when none was given
+  for (const [name, value, operator] of [['pickup_from', pickup_from, '>='], ['pickup_to', pickup_to, '<=']]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${name}` };
+    }
+    whereClauses.push(`o.pickup_code IS NOT NULL AND COALESCE(o.scheduled_for, o.created_at) ${operator} ?`);
+    params.push(date);
+  }
+  if (upcoming_pickups === '1') {
+    whereClauses.push("o.pickup_code IS NOT NULL AND COALESCE(o.status, 'pending') NOT IN ('delivered', 'cancelled')");
+  }
+
+  if (promotion_id) {
+    const promotionId = parseInt(promotion_id);
+    if (isNaN(promotionId) || promotionId <= 0) {
+      return { error: 'Valid promotion ID is required' };
+    }
+    whereClauses.push('o.promotion_id = ?');
+    params.push(promotionId);
+  }
+
+  if (q && String(q).trim()) {
+    const term = String(q).trim();
+    const pattern = `%${escapeLike(term)}%`;
+    const searchClauses = [
+      'o.notes LIKE ?',
+      'o.customer_name LIKE ?',
+      'o.customer_phone LIKE ?',
+      'EXISTS (SELECT 1 FROM order_items qoi WHERE qoi.order_id = o.id AND qoi.item_name LIKE ?)',
+    ];
+    params.push(pattern, pattern, pattern, pattern);
+    if (/^[A-Za-z0-9]{4}$/.test(term)) {
+      searchClauses.push('o.pickup_code = ?');
+      params.push(term.toUpperCase());
+    }
+    if (/^#?\d+$/.test(term)) {
+      searchClauses.push('o.id = ?');
+      params.push(parseInt(term.replace('#', ''), 10));
+    }
+    whereClauses.push(`(${searchClauses.join(' OR ')})`);
+  }
+
+  // Servers only see guest orders; staff-console orders are admin-only
+  if (user && user.role === 'server') {
+    whereClauses.push("o.session_id NOT LIKE 'staff-%'");
+  }
+
+  if (!ORDER_SORTS[sort]) {
+    return { error: `Sort must be one of: ${Object.keys(ORDER_SORTS).join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(direction)) {
+    return { error: 'Direction must be asc or desc' };
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(limit);
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return { error: 'Invalid cursor' };
+    }
+    const { column } = ORDER_SORTS[sort];
+    const comparator = direction === 'desc' ? '<' : '>';
+    whereClauses.push(`(${column} ${comparator} ? OR (${column} = ? AND o.id ${comparator} ?))`);
+    params.push(decoded.v, decoded.v, decoded.id);
+  }
+
+  return { whereClauses, params, sort: ORDER_SORTS[sort], direction: direction.toUpperCase(), limit: pageSize };
+};
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_SORTS,
+  buildOrderFilters,
+  encodeCursor,
+};
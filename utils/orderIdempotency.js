@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// How long a request_id keeps returning the order it created. Configurable
+// because some clients queue submissions offline for longer than others.
+const IDEMPOTENCY_WINDOW_MINUTES = (() => {
+  const parsed = parseInt(process.env.ORDER_IDEMPOTENCY_WINDOW_MINUTES, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 24 * 60;
+})();
+
+// Keys are stored in orders.request_id (VARCHAR(64)); UUIDs and similar client tokens fit
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const isValidRequestId = (requestId) => typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId);
+
+// Fingerprint of what the client asked for, so a key reused for a different order is caught
+const hashOrderRequest = ({ items, breakfastItems, table_id, table_token, order_type, total_price, notes, delivery_address, promotion_id, customer_name, customer_phone, scheduled_for, delivery_postal_code, delivery_latitude, delivery_longitude }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ items, breakfastItems, table_id, table_token, order_type, total_price, notes, delivery_address, promotion_id, customer_name, customer_phone, scheduled_for, delivery_postal_code, delivery_latitude, delivery_longitude }))
+  .digest('hex');
+
+/**
+ * Body of the 201 POST /orders answers with, built from the order's stored fields
+ * (`delivery_eta_minutes` is the zone's ETA). Fresh orders and idempotent replays
+ * both go through here so a retry gets the same response as the original.
+ */
+const orderCreatedResponse = (order) => ({
+  message: 'Order created',
+  orderId: order.id,
+  ...(order.pickup_code && { pickup_code: order.pickup_code, scheduled_for: order.scheduled_for }),
+  ...(order.order_type === 'delivery' && {
+    delivery_fee: parseFloat(order.delivery_fee || 0),
+    delivery_eta_minutes: order.delivery_eta_minutes ?? null,
+  }),
+  estimated_ready_at: order.estimated_ready_at || null,
+});
+
+/**
+ * Look up the order a request_id already created for this guest session. Keys are
+ * scoped to the session, so two guests picking the same key never see each other's order.
+ * Resolves to null when the key is unused, `{ orderId, response }` for a replay inside
+ * the window, or `{ status, error }` when the key cannot be honoured.
+ */
+const findIdempotentOrder = async (executor, sessionId, requestId, requestHash) => {
+  const [rows] = await executor.query(
+    `SELECT o.id, o.request_hash, o.pickup_code, o.scheduled_for, o.order_type, o.delivery_fee, o.estimated_ready_at,
+            dz.eta_minutes AS delivery_eta_minutes, TIMESTAMPDIFF(MINUTE, o.created_at, NOW()) AS age_minutes
+     FROM orders o
+     LEFT JOIN delivery_zones dz ON o.delivery_zone_id = dz.id
+     WHERE o.session_id = ? AND o.request_id = ?`,
+    [sessionId, requestId]
+  );
+  if (rows.length === 0) return null;
+  const order = rows[0];
+  if (order.request_hash && order.request_hash !== requestHash) {
+    return { status: 409, error: 'Request ID was already used for a different order' };
+  }
+  if (order.age_minutes > IDEMPOTENCY_WINDOW_MINUTES) {
+    return { status: 409, error: 'Request ID has expired; submit the order with a new request ID' };
+  }
+  return { orderId: order.id, response: orderCreatedResponse(order) };
+};
+
+module.exports = {
+  IDEMPOTENCY_WINDOW_MINUTES,
+  isValidRequestId,
+  hashOrderRequest,
+  orderCreatedResponse,
+  findIdempotentOrder,
+};
@@ -0,0 +1,136 @@
+const logger = require('../logger');
+const { roundMoney } = require('./orderPricing');
+
+// Each configuration becomes its own order line; only identical breakfast/options/price lines are merged
+const mergeBreakfastLines = (breakfastLines) => {
+  const breakfastMap = new Map();
+  for (const line of breakfastLines) {
+    const lineKey = `${line.breakfast_id}|${line.option_ids.join(',')}|${line.unit_price.toFixed(2)}`;
+    if (!breakfastMap.has(lineKey)) {
+      breakfastMap.set(lineKey, { ...line, quantity: 0 });
+    }
+    breakfastMap.get(lineKey).quantity += line.quantity;
+  }
+  return Array.from(breakfastMap.values());
+};
+
+// Insert priced lines (from priceOrder) with their name/price snapshots; resolves to the new order_items ids
+const insertOrderLines = async (connection, orderId, { lines, breakfastLines }) => {
+  const insertedIds = [];
+
+  for (const line of lines) {
+    // order_items.supplement_id keeps the first add-on for older clients; the full set lives in order_item_supplements
+    const primarySupplementId = line.supplement_ids.length > 0 ? line.supplement_ids[0] : null;
+    const [orderItemResult] = await connection.query(
+      `INSERT INTO order_items (order_id, line_type, item_id, quantity, unit_price, supplement_id, item_name, category_id, category_name, base_price)
+       VALUES (?, 'menu', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [orderId, line.item_id, line.quantity, line.unit_price, primarySupplementId, line.name, line.category_id, line.category_name, line.base_price]
+    );
+    for (const supplement of line.supplements) {
+      await connection.query(
+        'INSERT INTO order_item_supplements (order_item_id, supplement_id, supplement_name, additional_price) VALUES (?, ?, ?, ?)',
+        [orderItemResult.insertId, supplement.supplement_id, supplement.name, supplement.additional_price]
+      );
+    }
+    insertedIds.push(orderItemResult.insertId);
+  }
+
+  for (const line of mergeBreakfastLines(breakfastLines)) {
+    const [orderItemResult] = await connection.query(
+      `INSERT INTO order_items (order_id, line_type, breakfast_id, quantity, unit_price, item_name, category_id, category_name, base_price)
+       VALUES (?, 'breakfast', ?, ?, ?, ?, ?, ?, ?)`,
+      [orderId, line.breakfast_id, line.quantity, line.unit_price, line.name, line.category_id, line.category_name, line.base_price]
+    );
+    for (const option of line.options) {
+      await connection.query(
+        'INSERT INTO breakfast_order_options (order_item_id, breakfast_option_id, option_name, additional_price) VALUES (?, ?, ?, ?)',
+        [orderItemResult.insertId, option.option_id, option.option_name, option.additional_price]
+      );
+    }
+    insertedIds.push(orderItemResult.insertId);
+  }
+
+  return insertedIds;
+};
+
+// Recompute and store an order's total from its line snapshots plus its delivery fee.
+// The promotion the order was placed with keeps applying to menu lines even if it has since ended.
+const recalculateOrderTotal = async (connection, orderId) => {
+  const [lines] = await connection.query(
+    'SELECT line_type, item_id, quantity, unit_price FROM order_items WHERE order_id = ?',
+    [orderId]
+  );
+  const [orderRows] = await connection.query(
+    `SELECT o.delivery_fee, p.discount_percentage, p.item_id
+     FROM orders o
+     LEFT JOIN promotions p ON o.promotion_id = p.id
+     WHERE o.id = ?`,
+    [orderId]
+  );
+  const promotion = orderRows[0] && orderRows[0].discount_percentage !== null ? orderRows[0] : null;
+  const discountRate = promotion ? parseFloat(promotion.discount_percentage) / 100 : 0;
+
+  let total = orderRows[0] ? parseFloat(orderRows[0].delivery_fee || 0) : 0;
+  for (const line of lines) {
+    const lineTotal = parseFloat(line.unit_price) * line.quantity;
+    const discounted = promotion && line.line_type === 'menu' && (!promotion.item_id || line.item_id === promotion.item_id);
+    total += discounted ? lineTotal - lineTotal * discountRate : lineTotal;
+  }
+  total = roundMoney(total);
+
+  await connection.query('UPDATE orders SET total_price = ? WHERE id = ?', [total, orderId]);
+  return total;
+};
+
+/**
+ * Bring stock in line with an approved order whose lines changed, given its ingredient
+ * usage before and after the edit. Extra usage is deducted (and must be in stock), freed
+ * usage is added back; both are recorded in stock_transactions against the order.
+ * Resolves to `{ error }` on insufficient stock, otherwise the applied delta per ingredient.
+ */
+const applyStockDelta = async (connection, orderId, usageBefore, usageAfter, reason = 'Order line edit') => {
+  const delta = new Map();
+  for (const ingredientId of new Set([...usageBefore.keys(), ...usageAfter.keys()])) {
+    const change = (usageAfter.get(ingredientId) || 0) - (usageBefore.get(ingredientId) || 0);
+    if (Math.abs(change) > 1e-9) delta.set(ingredientId, change);
+  }
+  if (delta.size === 0) return { delta };
+
+  const [stockRows] = await connection.query(
+    'SELECT id, name, quantity_in_stock FROM ingredients WHERE id IN (?) ORDER BY id FOR UPDATE',
+    [Array.from(delta.keys())]
+  );
+  const stock = new Map(stockRows.map(row => [row.id, row]));
+
+  for (const [ingredientId, change] of delta) {
+    const row = stock.get(ingredientId);
+    if (!row) {
+      return { error: `Ingredient ID ${ingredientId} not found` };
+    }
+    const available = parseFloat(row.quantity_in_stock);
+    if (change > 0 && available < change) {
+      logger.warn('Insufficient stock for order edit', { ingredientId, ingredientName: row.name, required: change, available, orderId });
+      return { error: `Insufficient stock for ${row.name}. Required: ${change}, Available: ${available}` };
+    }
+  }
+
+  for (const [ingredientId, change] of delta) {
+    const available = parseFloat(stock.get(ingredientId).quantity_in_stock);
+    await connection.query(
+      'UPDATE ingredients SET quantity_in_stock = ?, updated_at = NOW() WHERE id = ?',
+      [available - change, ingredientId]
+    );
+    await connection.query(
+      'INSERT INTO stock_transactions (ingredient_id, quantity, transaction_type, order_id, reason) VALUES (?, ?, ?, ?, ?)',
+      [ingredientId, -change, change > 0 ? 'deduction' : 'addition', orderId, reason]
+    );
+  }
+  return { delta };
+};
+
+module.exports = {
+  mergeBreakfastLines,
+  insertOrderLines,
+  recalculateOrderTotal,
+  applyStockDelta,
+};
@@ -0,0 +1,344 @@
+const db = require('../config/db');
+const logger = require('../logger');
+
+const roundMoney = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const normalizeSupplementIds = (item) => {
+  const supplementIds = Array.isArray(item.supplement_ids)
+    ? item.supplement_ids.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id))
+    : [];
+  if (item.supplement_id && !supplementIds.includes(item.supplement_id)) {
+    supplementIds.push(parseInt(item.supplement_id, 10));
+  }
+  return supplementIds;
+};
+
+const normalizeOptionIds = (optionIds) => (
+  Array.isArray(optionIds)
+    ? Array.from(new Set(optionIds.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id)))).sort((a, b) => a - b)
+    : []
+);
+
+// Catalogue rows are looked up by the ids exactly as clients sent them; MySQL compares
+// those numerically, so only integral values can match a row.
+const idKey = (value) => Number(value);
+const lookupIds = (values) => Array.from(new Set(values.map(idKey).filter(id => Number.isInteger(id) && id > 0)));
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+};
+
+/**
+ * Load every menu item, supplement, breakfast, option group, option and the promotion an
+ * order references in a handful of set-based queries, so pricing costs the same number of
+ * round trips however many lines the order has.
+ */
+const loadOrderCatalogue = async (items, breakfastItems, promotionId) => {
+  const menuItemIds = lookupIds(items.map(item => item.item_id));
+  const supplementIds = lookupIds(items.flatMap(normalizeSupplementIds));
+  const breakfastIds = lookupIds(breakfastItems.map(item => item.breakfast_id));
+  const optionIds = lookupIds(breakfastItems.flatMap(item => (Array.isArray(item.option_ids) ? item.option_ids : [])));
+  // Run one after another rather than in parallel: under load a fan-out per request
+  // would hold several pool connections at once and starve other requests
+  let menuItems = [];
+  let supplements = [];
+  if (menuItemIds.length > 0) {
+    [menuItems] = await db.query(
+      `SELECT mi.id, mi.name, mi.availability, mi.regular_price, mi.sale_price, mi.category_id, c.name AS category_name,
+              mi.archived_at, c.archived_at AS category_archived_at
+       FROM menu_items mi
+       LEFT JOIN categories c ON mi.category_id = c.id
+       WHERE mi.id IN (?)`,
+      [menuItemIds]
+    );
+    if (supplementIds.length > 0) {
+      [supplements] = await db.query(
+        `SELECT menu_item_id, supplement_id, name, additional_price
+         FROM menu_item_supplements
+         WHERE menu_item_id IN (?) AND supplement_id IN (?)
+         ORDER BY menu_item_id, supplement_id`,
+        [menuItemIds, supplementIds]
+      );
+    }
+  }
+
+  let breakfasts = [];
+  let groups = [];
+  let options = [];
+  if (breakfastIds.length > 0) {
+    [breakfasts] = await db.query(
+      `SELECT b.id, b.name, b.availability, b.price, b.category_id, c.name AS category_name,
+              b.archived_at, c.archived_at AS category_archived_at
+       FROM breakfasts b
+       LEFT JOIN categories c ON b.category_id = c.id
+       WHERE b.id IN (?)`,
+      [breakfastIds]
+    );
+    // Groups that have at least one option: the breakfast's own, then shared groups mapped to it
+    [groups] = await db.query(
+      `SELECT DISTINCT bog.breakfast_id AS for_breakfast_id, bog.id, bog.is_required, bog.title
+       FROM breakfast_option_groups bog
+       LEFT JOIN breakfast_options bo ON bo.group_id = bog.id
+       WHERE bog.breakfast_id IN (?) AND bo.id IS NOT NULL
+       UNION
+       SELECT DISTINCT bogm.breakfast_id AS for_breakfast_id, bog.id, bog.is_required, bog.title
+       FROM breakfast_option_groups bog
+       INNER JOIN breakfast_option_group_mappings bogm ON bog.id = bogm.option_group_id
+       LEFT JOIN breakfast_options bo ON bo.group_id = bog.id
+       WHERE bogm.breakfast_id IN (?) AND bog.breakfast_id IS NULL AND bo.id IS NOT NULL`,
+      [breakfastIds, breakfastIds]
+    );
+    if (optionIds.length > 0) {
+      [options] = await db.query(
+        `SELECT bo.id, bo.breakfast_id, bo.group_id, bo.option_name, bo.additional_price
+         FROM breakfast_options bo
+         JOIN breakfast_option_groups bog ON bo.group_id = bog.id
+         WHERE bo.id IN (?)
+         ORDER BY bo.id`,
+        [optionIds]
+      );
+    }
+  }
+
+  let promotions = [];
+  if (promotionId) {
+    [promotions] = await db.query(
+      'SELECT id, name, discount_percentage, item_id FROM promotions WHERE id = ? AND active = TRUE AND NOW() BETWEEN start_date AND end_date',
+      [promotionId]
+    );
+  }
+
+  return {
+    menuItems: new Map(menuItems.map(row => [row.id, row])),
+    supplementsByItem: groupBy(supplements, 'menu_item_id'),
+    breakfasts: new Map(breakfasts.map(row => [row.id, row])),
+    groupsByBreakfast: groupBy(groups, 'for_breakfast_id'),
+    options,
+    promotion: promotions.length > 0 ? promotions[0] : null,
+  };
+};
+
+/**
+ * Validate and price order lines with the rules POST /orders enforces.
+ * With `checkUnitPrices` the client-sent unit prices must be present and match
+ * (breakfasts may be priced higher than computed); quotes skip that check.
+ * Resolves to `{ error }` with a client-facing message, or the priced breakdown.
+ */
+const priceOrder = async ({ items, breakfastItems, promotion_id }, { checkUnitPrices = true, logContext = {} } = {}) => {
+  const lines = [];
+  const breakfastLines = [];
+  const catalogue = await loadOrderCatalogue(
+    items && Array.isArray(items) ? items : [],
+    breakfastItems && Array.isArray(breakfastItems) ? breakfastItems : [],
+    promotion_id
+  );
+
+  if (items && Array.isArray(items)) {
+    for (const item of items) {
+      const { item_id, quantity, unit_price } = item;
+      const supplementIds = normalizeSupplementIds(item);
+      if (!item_id || isNaN(item_id) || item_id <= 0) {
+        logger.warn('Invalid item_id', { item_id, ...logContext });
+        return { error: `Invalid item_id: ${item_id}` };
+      }
+      if (!quantity || isNaN(quantity) || quantity <= 0) {
+        logger.warn('Invalid quantity', { item_id, quantity, ...logContext });
+        return { error: `Invalid quantity for item ${item_id}` };
+      }
+      if (checkUnitPrices && (!unit_price || isNaN(parseFloat(unit_price)) || parseFloat(unit_price) <= 0)) {
+        logger.warn('Invalid unit_price', { item_id, unit_price, ...logContext });
+        return { error: `Invalid unit_price for item ${item_id}` };
+      }
+
+      const menuItem = catalogue.menuItems.get(idKey(item_id));
+      if (!menuItem || !menuItem.availability || menuItem.archived_at || menuItem.category_archived_at) {
+        logger.warn('Item unavailable', { item_id, ...logContext });
+        return { error: `Item ${item_id} is unavailable` };
+      }
+      const basePrice = menuItem.sale_price !== null ? parseFloat(menuItem.sale_price) : parseFloat(menuItem.regular_price);
+      let itemTotal = basePrice;
+      let supplements = [];
+
+      if (supplementIds.length > 0) {
+        supplements = (catalogue.supplementsByItem.get(idKey(item_id)) || [])
+          .filter(supplement => supplementIds.includes(supplement.supplement_id));
+        if (supplements.length !== supplementIds.length) {
+          const foundIds = supplements.map(s => s.supplement_id);
+          logger.warn('Invalid supplements', { item_id, supplementIds, foundIds, ...logContext });
+          return { error: `Invalid supplement IDs for item ${item_id}. Provided: [${supplementIds.join(', ')}], Found: [${foundIds.join(', ')}]` };
+        }
+        const supplementPrice = supplements.reduce((sum, supp) => sum + parseFloat(supp.additional_price || 0), 0);
+        itemTotal += supplementPrice;
+      }
+
+      if (checkUnitPrices && Math.abs(parseFloat(unit_price) - itemTotal) > 0.01) {
+        logger.warn('Price mismatch', { item_id, provided: unit_price, expected: itemTotal, supplementIds, ...logContext });
+        return { error: `Invalid unit_price for item ${item_id}. Expected ${itemTotal}, got ${unit_price}` };
+      }
+
+      lines.push({
+        item_id: parseInt(item_id, 10),
+        quantity: parseInt(quantity, 10),
+        supplement_ids: supplementIds,
+        name: menuItem.name,
+        category_id: menuItem.category_id,
+        category_name: menuItem.category_name,
+        base_price: basePrice,
+        supplements: supplements.map(s => ({ supplement_id: s.supplement_id, name: s.name, additional_price: parseFloat(s.additional_price || 0) })),
+        unit_price: itemTotal,
+        line_total: itemTotal * quantity,
+      });
+    }
+  }
+
+  if (breakfastItems && Array.isArray(breakfastItems)) {
+    for (const item of breakfastItems) {
+      const { breakfast_id, quantity, unit_price, option_ids } = item;
+      if (!breakfast_id || isNaN(breakfast_id) || breakfast_id <= 0) {
+        logger.warn('Invalid breakfast_id', { breakfast_id, ...logContext });
+        return { error: `Invalid breakfast_id: ${breakfast_id}` };
+      }
+      if (!quantity || isNaN(quantity) || quantity <= 0) {
+        logger.warn('Invalid quantity', { breakfast_id, quantity, ...logContext });
+        return { error: `Invalid quantity for breakfast ${breakfast_id}` };
+      }
+      if (checkUnitPrices && (!unit_price || isNaN(parseFloat(unit_price)) || parseFloat(unit_price) <= 0)) {
+        logger.warn('Invalid unit_price', { breakfast_id, unit_price, ...logContext });
+        return { error: `Invalid unit_price for breakfast ${breakfast_id}` };
+      }
+
+      const breakfast = catalogue.breakfasts.get(idKey(breakfast_id));
+      if (!breakfast || !breakfast.availability || breakfast.archived_at || breakfast.category_archived_at) {
+        logger.warn('Breakfast unavailable', { breakfast_id, ...logContext });
+        return { error: `Breakfast ${breakfast_id} is unavailable` };
+      }
+      const basePrice = parseFloat(breakfast.price);
+      let expectedPrice = basePrice;
+      let options = [];
+
+      const groups = catalogue.groupsByBreakfast.get(idKey(breakfast_id)) || [];
+
+      logger.info('Fetched option groups for breakfast', {
+        breakfast_id,
+        groupCount: groups.length,
+        requiredGroups: groups.filter(g => g.is_required).map(g => ({ id: g.id, title: g.title })),
+        ...logContext
+      });
+
+      if (option_ids && Array.isArray(option_ids) && option_ids.length > 0) {
+        const requestedOptionIds = option_ids.map(idKey);
+        options = catalogue.options.filter(option => (option.breakfast_id === null || option.breakfast_id === idKey(breakfast_id))
+          && requestedOptionIds.includes(option.id));
+        if (options.length !== option_ids.length) {
+          logger.warn('Invalid breakfast options', {
+            breakfast_id,
+            provided_option_ids: option_ids,
+            found_options: options.map(o => o.id),
+            ...logContext
+          });
+          return {
+            error: `Invalid option IDs for breakfast ${breakfast_id}. Provided: [${option_ids.join(', ')}], Found: [${options.map(o => o.id).join(', ')}]`
+          };
+        }
+        const selectedGroups = new Set(options.map(opt => opt.group_id));
+        const requiredGroups = groups.filter(g => g.is_required).map(g => g.id);
+        const missingRequiredGroups = requiredGroups.filter(g => !selectedGroups.has(g));
+        if (missingRequiredGroups.length > 0) {
+          const missingGroupTitles = groups
+            .filter(g => missingRequiredGroups.includes(g.id))
+            .map(g => g.title || `Group ${g.id}`)
+            .join(', ');
+          logger.warn('Missing required options', {
+            breakfast_id,
+            missingGroups: missingRequiredGroups,
+            missingGroupTitles,
+            ...logContext
+          });
+          return {
+            error: `Must select one option from each required option group for breakfast ${breakfast_id}. Missing groups: [${missingGroupTitles}]`
+          };
+        }
+        const optionPrice = options.reduce((sum, opt) => sum + parseFloat(opt.additional_price || 0), 0);
+        expectedPrice += optionPrice;
+      } else if (groups.length > 0) {
+        const requiredGroups = groups.filter(g => g.is_required);
+        if (requiredGroups.length > 0) {
+          const requiredGroupTitles = requiredGroups.map(g => g.title || `Group ${g.id}`).join(', ');
+          logger.warn('No options provided but required groups exist', {
+            breakfast_id,
+            requiredGroupCount: requiredGroups.length,
+            requiredGroupTitles,
+            ...logContext
+          });
+          return {
+            error: `Must select one option from each of the ${requiredGroups.length} required option groups for breakfast ${breakfast_id}. Required groups: [${requiredGroupTitles}]`
+          };
+        }
+      }
+
+      if (checkUnitPrices) {
+        const providedPrice = parseFloat(unit_price);
+        if (providedPrice + 0.01 < expectedPrice) {
+          logger.warn('Price below expected', { breakfast_id, provided: unit_price, expected: expectedPrice, ...logContext });
+          return { error: `Invalid unit_price for breakfast ${breakfast_id}. Expected at least ${expectedPrice}, got ${unit_price}` };
+        }
+        // Allow minor overage (treat provided price if higher than calculated to support future surcharges)
+        if (providedPrice > expectedPrice) {
+          expectedPrice = providedPrice;
+        }
+      }
+
+      breakfastLines.push({
+        breakfast_id: parseInt(breakfast_id, 10),
+        quantity: parseInt(quantity, 10),
+        option_ids: normalizeOptionIds(option_ids),
+        name: breakfast.name,
+        category_id: breakfast.category_id,
+        category_name: breakfast.category_name,
+        base_price: basePrice,
+        options: options.map(o => ({ option_id: o.id, group_id: o.group_id, option_name: o.option_name, additional_price: parseFloat(o.additional_price || 0) })),
+        unit_price: expectedPrice,
+        line_total: expectedPrice * quantity,
+      });
+    }
+  }
+
+  // Promotions discount menu item lines only (store-wide, or the promoted item); breakfasts are never discounted
+  const promotion = catalogue.promotion;
+  const discountRate = promotion ? promotion.discount_percentage / 100 : 0;
+
+  for (const line of lines) {
+    const discounted = promotion && (!promotion.item_id || line.item_id === promotion.item_id);
+    line.discount = discounted ? line.line_total * discountRate : 0;
+    line.total = line.line_total - line.discount;
+  }
+  for (const line of breakfastLines) {
+    line.discount = 0;
+    line.total = line.line_total;
+  }
+
+  const allLines = [...lines, ...breakfastLines];
+  const subtotal = allLines.reduce((sum, line) => sum + line.line_total, 0);
+  const discountTotal = allLines.reduce((sum, line) => sum + line.discount, 0);
+
+  return {
+    lines,
+    breakfastLines,
+    promotion: promotion ? { id: promotion.id, name: promotion.name, discount_percentage: parseFloat(promotion.discount_percentage), item_id: promotion.item_id } : null,
+    subtotal,
+    discount: discountTotal,
+    total: allLines.reduce((sum, line) => sum + line.total, 0),
+  };
+};
+
+module.exports = {
+  roundMoney,
+  normalizeSupplementIds,
+  normalizeOptionIds,
+  priceOrder,
+};
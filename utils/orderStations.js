@@ -0,0 +1,206 @@
+const db = require('../config/db');
+const logger = require('../logger');
+const { recordOrderEvent } = require('./orderEvents');
+
+/**
+ * Route an approved order's lines to preparation stations and keep its per-station
+ * tickets in step with its lines. Unrouted lines go to their product's station, else
+ * their category's (inactive stations are skipped); lines with neither stay unrouted.
+ * A station gets a ticket while it has lines on the order; done tickets whose station
+ * got new or larger lines (`reopenLineIds`) go back to pending.
+ * Resolves to the station ids whose ticket was `created`, `reopened` or `removed`.
+ */
+const syncStationTickets = async (connection, orderId, { reopenLineIds = [] } = {}) => {
+  await connection.query(
+    `UPDATE order_items oi
+     LEFT JOIN menu_items mi ON oi.line_type = 'menu' AND oi.item_id = mi.id
+     LEFT JOIN breakfasts b ON oi.line_type = 'breakfast' AND oi.breakfast_id = b.id
+     LEFT JOIN categories c ON c.id = COALESCE(mi.category_id, b.category_id, oi.category_id)
+     LEFT JOIN preparation_stations product_station ON product_station.id = COALESCE(mi.station_id, b.station_id) AND product_station.active = 1
+     LEFT JOIN preparation_stations category_station ON category_station.id = c.station_id AND category_station.active = 1
+     SET oi.station_id = COALESCE(product_station.id, category_station.id)
+     WHERE oi.order_id = ? AND oi.station_id IS NULL AND oi.quantity > 0`,
+    [orderId]
+  );
+
+  const [lineRows] = await connection.query(
+    'SELECT id, station_id FROM order_items WHERE order_id = ? AND quantity > 0 AND station_id IS NOT NULL',
+    [orderId]
+  );
+  const [ticketRows] = await connection.query(
+    'SELECT station_id, status FROM order_station_tickets WHERE order_id = ? FOR UPDATE',
+    [orderId]
+  );
+  const stationIds = new Set(lineRows.map(line => line.station_id));
+  const tickets = new Map(ticketRows.map(ticket => [ticket.station_id, ticket]));
+
+  const created = Array.from(stationIds).filter(stationId => !tickets.has(stationId));
+  const removed = ticketRows.map(ticket => ticket.station_id).filter(stationId => !stationIds.has(stationId));
+  const reopened = Array.from(new Set(lineRows
+    .filter(line => reopenLineIds.includes(line.id))
+    .map(line => line.station_id)))
+    .filter(stationId => tickets.has(stationId) && tickets.get(stationId).status === 'done');
+
+  for (const stationId of created) {
+    await connection.query('INSERT INTO order_station_tickets (order_id, station_id) VALUES (?, ?)', [orderId, stationId]);
+  }
+  if (removed.length > 0) {
+    await connection.query('DELETE FROM order_station_tickets WHERE order_id = ? AND station_id IN (?)', [orderId, removed]);
+  }
+  if (reopened.length > 0) {
+    await connection.query(
+      "UPDATE order_station_tickets SET status = 'pending', completed_at = NULL, completed_by = NULL WHERE order_id = ? AND station_id IN (?)",
+      [orderId, reopened]
+    );
+  }
+  return { created, reopened, removed };
+};
+
+/**
+ * Station tickets with the lines each station has to prepare, oldest first.
+ * Filter by `orderId` and/or `stationId`; `pendingOnly` keeps what a station
+ * display still has to work on (pending tickets of orders in the kitchen).
+ */
+const fetchStationTickets = async (executor, { orderId = null, stationId = null, pendingOnly = false } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (orderId) {
+    conditions.push('t.order_id = ?');
+    params.push(orderId);
+  }
+  if (stationId) {
+    conditions.push('t.station_id = ?');
+    params.push(stationId);
+  }
+  if (pendingOnly) {
+    conditions.push("t.status = 'pending'", "o.status = 'preparing'");
+  }
+  const [tickets] = await executor.query(
+    `SELECT t.id, t.order_id, t.station_id, ps.name AS station_name, t.status, t.created_at, t.completed_at,
+            o.status AS order_status, o.order_type, o.notes, o.pickup_code, o.scheduled_for, tb.table_number
+     FROM order_station_tickets t
+     JOIN preparation_stations ps ON t.station_id = ps.id
+     JOIN orders o ON t.order_id = o.id
+     LEFT JOIN tables tb ON o.table_id = tb.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY t.created_at ASC, t.id ASC`,
+    params
+  );
+  if (tickets.length === 0) return [];
+
+  const [lines] = await executor.query(
+    `SELECT id, order_id, station_id, line_type, item_name, quantity
+     FROM order_items
+     WHERE order_id IN (?) AND quantity > 0 AND station_id IS NOT NULL
+     ORDER BY id`,
+    [Array.from(new Set(tickets.map(ticket => ticket.order_id)))]
+  );
+  const extras = new Map();
+  if (lines.length > 0) {
+    const lineIds = lines.map(line => line.id);
+    const [supplements] = await executor.query(
+      'SELECT order_item_id, supplement_name AS name FROM order_item_supplements WHERE order_item_id IN (?) ORDER BY id',
+      [lineIds]
+    );
+    const [options] = await executor.query(
+      'SELECT order_item_id, option_name AS name FROM breakfast_order_options WHERE order_item_id IN (?) ORDER BY id',
+      [lineIds]
+    );
+    for (const extra of [...supplements, ...options]) {
+      if (!extras.has(extra.order_item_id)) extras.set(extra.order_item_id, []);
+      extras.get(extra.order_item_id).push(extra.name);
+    }
+  }
+
+  return tickets.map(ticket => ({
+    ...ticket,
+    items: lines
+      .filter(line => line.order_id === ticket.order_id && line.station_id === ticket.station_id)
+      .map(line => ({
+        order_item_id: line.id,
+        line_type: line.line_type,
+        name: line.item_name,
+        quantity: line.quantity,
+        extras: extras.get(line.id) || [],
+      })),
+  }));
+};
+
+/**
+ * Mark one station's part of an order done inside the caller's transaction. When it
+ * was the last pending station the order moves to `ready`.
+ * Resolves to `{ status, error }` or `{ order, orderReady }`.
+ */
+const completeStationTicket = async (connection, orderId, stationId, actorId) => {
+  const [orderRows] = await connection.query('SELECT id, session_id, status FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (orderRows.length === 0) {
+    return { status: 404, error: 'Order not found' };
+  }
+  const order = orderRows[0];
+  if (order.status !== 'preparing') {
+    return { status: 400, error: `Cannot complete station tickets of a ${order.status || 'pending'} order` };
+  }
+
+  const [ticketRows] = await connection.query(
+    'SELECT id, status FROM order_station_tickets WHERE order_id = ? AND station_id = ? FOR UPDATE',
+    [orderId, stationId]
+  );
+  if (ticketRows.length === 0) {
+    return { status: 404, error: 'This order has nothing for that station' };
+  }
+  if (ticketRows[0].status === 'done') {
+    return { status: 400, error: 'Station ticket already done' };
+  }
+
+  await connection.query(
+    "UPDATE order_station_tickets SET status = 'done', completed_at = NOW(), completed_by = ? WHERE id = ?",
+    [actorId, ticketRows[0].id]
+  );
+  await recordOrderEvent(connection, orderId, 'station_done', { actorId, details: { station_id: stationId } });
+
+  const [pending] = await connection.query(
+    "SELECT COUNT(*) AS count FROM order_station_tickets WHERE order_id = ? AND status = 'pending'",
+    [orderId]
+  );
+  if (pending[0].count > 0) {
+    return { order, orderReady: false };
+  }
+
+  await connection.query(
+    "UPDATE orders SET status = 'ready', status_updated_at = NOW(), ready_at = NOW() WHERE id = ?",
+    [orderId]
+  );
+  await recordOrderEvent(connection, orderId, 'status_changed', {
+    actorId,
+    fromStatus: 'preparing',
+    toStatus: 'ready',
+    details: { via: 'stations' },
+  });
+  return { order, orderReady: true };
+};
+
+/**
+ * Push an order's current station tickets to their `station-<id>` rooms after a
+ * commit, and tell stations in `removedStationIds` to drop theirs. Displays hide
+ * tickets that are done or whose order left the kitchen. Never throws.
+ */
+const emitStationTickets = async (io, orderId, { removedStationIds = [] } = {}) => {
+  try {
+    const tickets = await fetchStationTickets(db, { orderId });
+    for (const ticket of tickets) {
+      io.to(`station-${ticket.station_id}`).emit('stationTicket', ticket);
+    }
+    for (const stationId of removedStationIds) {
+      io.to(`station-${stationId}`).emit('stationTicketRemoved', { orderId: orderId.toString(), stationId });
+    }
+  } catch (error) {
+    logger.error('Error emitting station tickets', { error: error.message, orderId });
+  }
+};
+
+module.exports = {
+  syncStationTickets,
+  fetchStationTickets,
+  completeStationTicket,
+  emitStationTickets,
+};
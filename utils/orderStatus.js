@@ -0,0 +1,24 @@
+// Kitchen lifecycle for orders. Approval (pending/received -> preparing) and
+// cancellation have dedicated endpoints because they touch stock, so they are
+// not reachable through the generic status transition route.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['preparing', 'cancelled'],
+  received: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['preparing', 'delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+const KITCHEN_STATUSES = ['preparing', 'ready', 'delivered'];
+
+const canTransition = (from, to) => {
+  const allowed = ORDER_STATUS_TRANSITIONS[from || 'pending'];
+  return Array.isArray(allowed) && allowed.includes(to);
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  KITCHEN_STATUSES,
+  canTransition,
+};
@@ -0,0 +1,67 @@
+// Recipe rows (ingredient_id, ingredient_quantity) for a set of ids, grouped by that id
+const loadRecipes = async (connection, table, keyColumn, ids) => {
+  const recipes = new Map();
+  if (ids.length === 0) return recipes;
+  const [rows] = await connection.query(
+    `SELECT ${keyColumn} AS recipe_id, ingredient_id, quantity AS ingredient_quantity FROM ${table} WHERE ${keyColumn} IN (?)`,
+    [ids]
+  );
+  for (const row of rows) {
+    if (!recipes.has(row.recipe_id)) recipes.set(row.recipe_id, []);
+    recipes.get(row.recipe_id).push(row);
+  }
+  return recipes;
+};
+
+// Ingredient usage for an order: menu item and breakfast recipes, every
+// supplement on each line, and breakfast option recipes, each times the line quantity.
+const computeIngredientUsage = async (connection, orderId) => {
+  const ingredientUsage = new Map();
+  const addUsage = (ingredients, multiplier) => {
+    for (const ing of ingredients || []) {
+      const totalQuantity = parseFloat(ing.ingredient_quantity) * multiplier;
+      ingredientUsage.set(ing.ingredient_id, (ingredientUsage.get(ing.ingredient_id) || 0) + totalQuantity);
+    }
+  };
+
+  const [orderItems] = await connection.query(
+    'SELECT id, item_id, breakfast_id, quantity FROM order_items WHERE order_id = ? AND quantity > 0',
+    [orderId]
+  );
+  if (orderItems.length === 0) return ingredientUsage;
+  const lineIds = orderItems.map(item => item.id);
+
+  const [orderSupplements] = await connection.query(
+    'SELECT order_item_id, supplement_id FROM order_item_supplements WHERE order_item_id IN (?)',
+    [lineIds]
+  );
+  const [breakfastOptions] = await connection.query(
+    'SELECT order_item_id, breakfast_option_id FROM breakfast_order_options WHERE order_item_id IN (?)',
+    [lineIds]
+  );
+
+  const distinct = (ids) => Array.from(new Set(ids.filter(Boolean)));
+  const menuItemRecipes = await loadRecipes(connection, 'menu_item_ingredients', 'menu_item_id', distinct(orderItems.map(item => item.item_id)));
+  const breakfastRecipes = await loadRecipes(connection, 'breakfast_ingredients', 'breakfast_id', distinct(orderItems.map(item => item.breakfast_id)));
+  const supplementRecipes = await loadRecipes(connection, 'supplement_ingredients', 'supplement_id', distinct(orderSupplements.map(s => s.supplement_id)));
+  const optionRecipes = await loadRecipes(connection, 'breakfast_option_ingredients', 'breakfast_option_id', distinct(breakfastOptions.map(o => o.breakfast_option_id)));
+
+  const quantityByLine = new Map();
+  for (const { id, item_id, breakfast_id, quantity } of orderItems) {
+    quantityByLine.set(id, quantity);
+    if (item_id) addUsage(menuItemRecipes.get(item_id), quantity);
+    if (breakfast_id) addUsage(breakfastRecipes.get(breakfast_id), quantity);
+  }
+  for (const supplement of orderSupplements) {
+    addUsage(supplementRecipes.get(supplement.supplement_id), quantityByLine.get(supplement.order_item_id));
+  }
+  for (const option of breakfastOptions) {
+    addUsage(optionRecipes.get(option.breakfast_option_id), quantityByLine.get(option.order_item_id));
+  }
+
+  return ingredientUsage;
+};
+
+module.exports = {
+  computeIngredientUsage,
+};
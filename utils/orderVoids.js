@@ -0,0 +1,143 @@
+const logger = require('../logger');
+const { roundMoney } = require('./orderPricing');
+const { TENDERS, fetchPayableOrders } = require('./payments');
+const { computeIngredientUsage } = require('./orderStock');
+const { recalculateOrderTotal, applyStockDelta } = require('./orderLines');
+const { recordOrderEvent } = require('./orderEvents');
+
+/**
+ * Void part or all of one order line inside the caller's transaction. The line keeps
+ * the quantity that is still billable, the order total is recalculated and the voided
+ * amount is stored in order_item_voids. With `restoreStock` the recipe of the voided
+ * units goes back into stock (approved orders only, since nothing was deducted before).
+ * When the order was already paid beyond its new total, the difference is recorded as
+ * a refund: a negative payment in `refundTender` or the tender last used on the order.
+ * Resolves to `{ status, error }` (the caller rolls back) or what was voided.
+ */
+const voidOrderLine = async (connection, orderId, lineId, { quantity, reason, restoreStock = false, refundTender = null, actorId = null } = {}) => {
+  const [orderRows] = await connection.query(
+    'SELECT id, session_id, status, approved, total_price FROM orders WHERE id = ? FOR UPDATE',
+    [orderId]
+  );
+  if (orderRows.length === 0) {
+    return { status: 404, error: 'Order not found' };
+  }
+  const order = orderRows[0];
+  if (order.status === 'cancelled') {
+    return { status: 400, error: 'Cannot void lines of a cancelled order' };
+  }
+
+  const [lines] = await connection.query(
+    'SELECT id, item_name, quantity, unit_price FROM order_items WHERE id = ? AND order_id = ? AND quantity > 0 FOR UPDATE',
+    [lineId, orderId]
+  );
+  if (lines.length === 0) {
+    return { status: 404, error: 'Order line not found' };
+  }
+  const line = lines[0];
+
+  const voidQuantity = quantity === undefined || quantity === null ? line.quantity : parseInt(quantity);
+  if (isNaN(voidQuantity) || voidQuantity <= 0 || voidQuantity > line.quantity) {
+    return { status: 400, error: `Quantity to void must be between 1 and ${line.quantity}` };
+  }
+  if (refundTender && !TENDERS.includes(refundTender)) {
+    return { status: 400, error: `Refund tender must be one of: ${TENDERS.join(', ')}` };
+  }
+
+  const [remaining] = await connection.query(
+    'SELECT COALESCE(SUM(quantity), 0) AS units FROM order_items WHERE order_id = ?',
+    [orderId]
+  );
+  if (parseInt(remaining[0].units) - voidQuantity <= 0) {
+    return { status: 400, error: 'Voiding this would leave the order empty; cancel the order instead' };
+  }
+
+  const shouldRestoreStock = restoreStock === true && Boolean(order.approved);
+  const usageBefore = shouldRestoreStock ? await computeIngredientUsage(connection, orderId) : null;
+
+  await connection.query('UPDATE order_items SET quantity = quantity - ? WHERE id = ?', [voidQuantity, lineId]);
+  const previousTotal = roundMoney(order.total_price);
+  const total = await recalculateOrderTotal(connection, orderId);
+  const amount = roundMoney(previousTotal - total);
+
+  let restoredStock = null;
+  if (shouldRestoreStock) {
+    const usageAfter = await computeIngredientUsage(connection, orderId);
+    const stockResult = await applyStockDelta(connection, orderId, usageBefore, usageAfter, 'Order line void stock restoration');
+    if (stockResult.error) {
+      return { status: 400, error: stockResult.error };
+    }
+    restoredStock = Object.fromEntries(Array.from(stockResult.delta, ([ingredientId, change]) => [ingredientId, -change]));
+  }
+
+  let refund = null;
+  const [payable] = await fetchPayableOrders(connection, { orderId }, { lock: true });
+  if (payable && payable.balance < 0) {
+    let tender = refundTender;
+    if (!tender) {
+      const [lastPayment] = await connection.query(
+        `SELECT p.tender FROM payments p
+         JOIN payment_allocations pa ON pa.payment_id = p.id
+         WHERE pa.order_id = ? AND p.amount > 0
+         ORDER BY p.created_at DESC, p.id DESC LIMIT 1`,
+        [orderId]
+      );
+      tender = lastPayment.length > 0 ? lastPayment[0].tender : 'other';
+    }
+    const refundAmount = roundMoney(-payable.balance);
+    const [paymentResult] = await connection.query(
+      'INSERT INTO payments (order_id, table_session_id, tender, amount, amount_tendered, change_given, received_by, note) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [orderId, null, tender, -refundAmount, null, 0, actorId, `Refund for voided line ${lineId}`]
+    );
+    await connection.query(
+      'INSERT INTO payment_allocations (payment_id, order_id, amount) VALUES (?, ?, ?)',
+      [paymentResult.insertId, orderId, -refundAmount]
+    );
+    refund = { payment_id: paymentResult.insertId, tender, amount: refundAmount };
+  }
+
+  const [voidResult] = await connection.query(
+    `INSERT INTO order_item_voids (order_id, order_item_id, item_name, quantity, unit_price, amount, reason, stock_restored, refund_payment_id, voided_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [orderId, lineId, line.item_name, voidQuantity, line.unit_price, amount, reason, shouldRestoreStock ? 1 : 0, refund ? refund.payment_id : null, actorId]
+  );
+
+  await recordOrderEvent(connection, orderId, 'line_voided', {
+    actorId,
+    reason,
+    details: {
+      void_id: voidResult.insertId,
+      order_item_id: lineId,
+      item_name: line.item_name,
+      quantity: voidQuantity,
+      amount,
+      previous_total: previousTotal,
+      total_price: total,
+      restored_stock: restoredStock,
+      refund,
+    },
+  });
+
+  if (restoreStock === true && !order.approved) {
+    logger.info('Stock restoration skipped for void on unapproved order', { orderId, lineId });
+  }
+
+  return {
+    order,
+    void: {
+      id: voidResult.insertId,
+      order_item_id: lineId,
+      item_name: line.item_name,
+      quantity: voidQuantity,
+      amount,
+      reason,
+      stock_restored: shouldRestoreStock,
+    },
+    total,
+    refund,
+  };
+};
+
+module.exports = {
+  voidOrderLine,
+};
@@ -0,0 +1,93 @@
+const { roundMoney } = require('./orderPricing');
+
+const TENDERS = ['cash', 'card', 'other'];
+
+const paymentStatus = (totalPrice, paidAmount) => {
+  const total = roundMoney(totalPrice);
+  const paid = roundMoney(paidAmount);
+  if (paid <= 0) return 'unpaid';
+  if (paid + 0.005 >= total) return 'paid';
+  return 'partially_paid';
+};
+
+// Billable orders for an order or a tab with what is still owed on each, oldest first.
+// Like reconciliation, only approved orders are billed: a pending order may still be refused.
+const fetchPayableOrders = async (executor, { orderId, tableSessionId }, { lock = false } = {}) => {
+  const [rows] = await executor.query(
+    `SELECT o.id, o.total_price, o.status, o.table_session_id,
+            COALESCE((SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.order_id = o.id), 0) AS paid_amount
+     FROM orders o
+     WHERE ${orderId ? 'o.id = ?' : 'o.table_session_id = ?'} AND o.approved = 1 AND o.status != 'cancelled'
+     ORDER BY o.created_at ASC, o.id ASC${lock ? ' FOR UPDATE' : ''}`,
+    [orderId || tableSessionId]
+  );
+  return rows.map(row => {
+    const total = roundMoney(row.total_price);
+    const paid = roundMoney(row.paid_amount);
+    return { id: row.id, status: row.status, total_price: total, paid_amount: paid, balance: roundMoney(total - paid) };
+  });
+};
+
+// Order lines with their share of the order total; promotion discounts are spread pro rata.
+// A line counts as paid once a payment_items row points at it: line edits refuse paid
+// lines and voids only lower the quantity, so a paid line never grows afterwards.
+const fetchPayableLines = async (executor, payableOrders) => {
+  if (payableOrders.length === 0) return [];
+  const [rows] = await executor.query(
+    `SELECT oi.id, oi.order_id, oi.item_id, oi.breakfast_id, oi.quantity, oi.unit_price,
+            oi.item_name AS name, pi.payment_id
+     FROM order_items oi
+     LEFT JOIN payment_items pi ON pi.order_item_id = oi.id
+     WHERE oi.order_id IN (?) AND oi.quantity > 0
+     ORDER BY oi.order_id, oi.id`,
+    [payableOrders.map(order => order.id)]
+  );
+  return rows.map(row => {
+    const order = payableOrders.find(o => o.id === row.order_id);
+    const orderSubtotal = rows
+      .filter(r => r.order_id === row.order_id)
+      .reduce((sum, r) => sum + parseFloat(r.unit_price) * r.quantity, 0);
+    const ratio = orderSubtotal > 0 ? order.total_price / orderSubtotal : 0;
+    return {
+      order_item_id: row.id,
+      order_id: row.order_id,
+      item_id: row.item_id,
+      breakfast_id: row.breakfast_id,
+      name: row.name,
+      quantity: row.quantity,
+      amount: roundMoney(parseFloat(row.unit_price) * row.quantity * ratio),
+      paid: row.payment_id !== null,
+    };
+  });
+};
+
+// Split an amount into `parts` shares that add up to the cent; earlier shares absorb the remainder
+const splitEvenly = (amount, parts) => {
+  const cents = Math.round(amount * 100);
+  const base = Math.floor(cents / parts);
+  const remainder = cents - base * parts;
+  return Array.from({ length: parts }, (_, i) => (base + (i < remainder ? 1 : 0)) / 100);
+};
+
+// Spread a payment over the oldest outstanding orders first
+const allocatePayment = (amount, payableOrders) => {
+  const allocations = [];
+  let remaining = roundMoney(amount);
+  for (const order of payableOrders) {
+    if (remaining <= 0) break;
+    if (order.balance <= 0) continue;
+    const allocated = roundMoney(Math.min(order.balance, remaining));
+    allocations.push({ order_id: order.id, amount: allocated });
+    remaining = roundMoney(remaining - allocated);
+  }
+  return allocations;
+};
+
+module.exports = {
+  TENDERS,
+  paymentStatus,
+  fetchPayableOrders,
+  fetchPayableLines,
+  splitEvenly,
+  allocatePayment,
+};
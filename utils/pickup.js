@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { fetchOpeningHours, isOpenAt } = require('./openingHours');
+
+const PICKUP_ORDER_TYPES = ['takeaway', 'imported'];
+// Takeaway guests must leave contact details; imported orders carry them when the source has them
+const CONTACT_REQUIRED_TYPES = ['takeaway'];
+
+const PICKUP_MIN_LEAD_MINUTES = 10;
+const PICKUP_MAX_DAYS_AHEAD = 7;
+
+// No 0/O or 1/I so codes can be read out over the counter
+const PICKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PICKUP_CODE_LENGTH = 4;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+
+/**
+ * Check the pickup fields of a takeaway or imported order. A scheduled time must be
+ * in the future, within PICKUP_MAX_DAYS_AHEAD and inside opening hours.
+ * Resolves to `{ error }` or `{ customerName, customerPhone, scheduledFor }`.
+ */
+const parsePickupDetails = async (executor, { order_type, customer_name, customer_phone, scheduled_for }, now = new Date()) => {
+  const customerName = typeof customer_name === 'string' && customer_name.trim() ? customer_name.trim() : null;
+  const customerPhone = typeof customer_phone === 'string' && customer_phone.trim() ? customer_phone.trim() : null;
+
+  if (CONTACT_REQUIRED_TYPES.includes(order_type) && (!customerName || !customerPhone)) {
+    return { error: 'Customer name and phone are required for takeaway orders' };
+  }
+  if (customerName && customerName.length > 100) {
+    return { error: 'Customer name must be at most 100 characters' };
+  }
+  if (customerPhone && !PHONE_PATTERN.test(customerPhone)) {
+    return { error: 'Customer phone must be a valid phone number' };
+  }
+
+  let scheduledFor = null;
+  if (scheduled_for) {
+    scheduledFor = new Date(scheduled_for);
+    if (isNaN(scheduledFor.getTime())) {
+      return { error: 'scheduled_for must be a valid date' };
+    }
+    if (scheduledFor.getTime() < now.getTime() + PICKUP_MIN_LEAD_MINUTES * 60 * 1000) {
+      return { error: `Scheduled pickup must be at least ${PICKUP_MIN_LEAD_MINUTES} minutes from now` };
+    }
+    if (scheduledFor.getTime() > now.getTime() + PICKUP_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+      return { error: `Scheduled pickup must be within ${PICKUP_MAX_DAYS_AHEAD} days` };
+    }
+    const hours = await fetchOpeningHours(executor);
+    if (!isOpenAt(hours, scheduledFor)) {
+      return { error: 'Scheduled pickup is outside opening hours' };
+    }
+  }
+
+  return { customerName, customerPhone, scheduledFor };
+};
+
+// A short code not shared by any other pickup still waiting to be collected
+const generatePickupCode = async (executor) => {
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const code = Array.from({ length: PICKUP_CODE_LENGTH }, () => PICKUP_CODE_ALPHABET[crypto.randomInt(PICKUP_CODE_ALPHABET.length)]).join('');
+    const [clashes] = await executor.query(
+      "SELECT id FROM orders WHERE pickup_code = ? AND status NOT IN ('delivered', 'cancelled') LIMIT 1",
+      [code]
+    );
+    if (clashes.length === 0) return code;
+  }
+  throw new Error('Could not generate a unique pickup code');
+};
+
+module.exports = {
+  PICKUP_ORDER_TYPES,
+  parsePickupDetails,
+  generatePickupCode,
+};
@@ -0,0 +1,227 @@
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const logger = require('../logger');
+const { GLYPH_HEIGHT, measureText, forEachTextPixel } = require('./pixelFont');
+
+const CLIENT_URL = (process.env.CLIENT_URL || 'https://la-coupole.vercel.app').replace(/\/$/, '');
+// Frontend page a scanned table code opens; it reads the table token from ?table=
+const TABLE_QR_PATH = process.env.TABLE_QR_PATH || '/menu';
+
+const QR_FORMATS = ['svg', 'png'];
+const QUIET_ZONE = 4; // blank border in modules, required by the QR spec
+const LOGO_SHARE = 0.22; // of the code's width; error correction H survives about 30% loss
+const SHEET_GAP = 24;
+const MAX_SHEET_TABLES = 50;
+// PNG sheets are rasterised in memory and deflated on the event loop; 16 MP is
+// about 64 MB of pixels, comfortably above an A3 page at 300 dpi
+const MAX_SHEET_PIXELS = 16 * 1000 * 1000;
+const LABEL_SHARE = 0.14; // label strip height, relative to the code
+
+const buildTableOrderUrl = (token) => `${CLIENT_URL}${TABLE_QR_PATH}?table=${encodeURIComponent(token)}`;
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+}[char]));
+
+/**
+ * Current theme logo as a PNG for the centre of the codes. Cloudinary logos are asked
+ * for a padded PNG rendition; other URLs are used only if they already serve a PNG.
+ * Resolves to `{ buffer, image }` or null, so a missing logo never blocks printing.
+ */
+const fetchThemeLogo = async (executor, sizePx) => {
+  const [rows] = await executor.query('SELECT logo_url FROM themes ORDER BY updated_at DESC LIMIT 1');
+  const logoUrl = rows.length > 0 ? rows[0].logo_url : null;
+  if (!logoUrl) return null;
+  const url = logoUrl.includes('/image/upload/')
+    ? logoUrl.replace('/image/upload/', `/image/upload/w_${sizePx},h_${sizePx},c_pad,b_white,f_png/`)
+    : logoUrl;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`Logo request failed with status ${response.status}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return { buffer, image: PNG.sync.read(buffer) };
+  } catch (error) {
+    logger.warn('Theme logo unavailable for QR codes', { error: error.message, logoUrl });
+    return null;
+  }
+};
+
+// Module grid and pixel geometry of one labelled code, about `size` pixels wide
+const layoutCard = ({ url, label }, size, withLogo) => {
+  const { modules } = QRCode.create(url, { errorCorrectionLevel: withLogo ? 'H' : 'M' });
+  const cells = modules.size + QUIET_ZONE * 2;
+  const moduleSize = Math.max(1, Math.floor(size / cells));
+  const qrSize = cells * moduleSize;
+  const labelHeight = Math.round(qrSize * LABEL_SHARE);
+
+  // Keep the logo square on the module grid and centred (the grid size is always odd)
+  let logoCells = null;
+  if (withLogo) {
+    let count = Math.floor(modules.size * LOGO_SHARE);
+    if ((modules.size - count) % 2 !== 0) count += 1;
+    logoCells = { start: (modules.size - count) / 2, count };
+  }
+  const isDark = (row, col) => {
+    if (logoCells && row >= logoCells.start && row < logoCells.start + logoCells.count
+      && col >= logoCells.start && col < logoCells.start + logoCells.count) {
+      return false;
+    }
+    return Boolean(modules.get(row, col));
+  };
+
+  return {
+    label,
+    size: modules.size,
+    moduleSize,
+    qrSize,
+    labelHeight,
+    width: qrSize,
+    height: qrSize + labelHeight,
+    isDark,
+    // Logo box in pixels, one module of white padding inside the cleared area
+    logoBox: logoCells && {
+      x: (QUIET_ZONE + logoCells.start + 1) * moduleSize,
+      y: (QUIET_ZONE + logoCells.start + 1) * moduleSize,
+      size: (logoCells.count - 2) * moduleSize,
+    },
+  };
+};
+
+// Cell positions for cards laid out in a grid of `columns`
+const layoutSheet = (cards, columns, gap) => {
+  const cellWidth = Math.max(...cards.map(card => card.width));
+  const cellHeight = Math.max(...cards.map(card => card.height));
+  const columnCount = Math.min(columns, cards.length);
+  const rowCount = Math.ceil(cards.length / columnCount);
+  return {
+    width: columnCount * cellWidth + (columnCount + 1) * gap,
+    height: rowCount * cellHeight + (rowCount + 1) * gap,
+    positions: cards.map((card, index) => ({
+      x: gap + (index % columnCount) * (cellWidth + gap) + Math.floor((cellWidth - card.width) / 2),
+      y: gap + Math.floor(index / columnCount) * (cellHeight + gap),
+    })),
+  };
+};
+
+const renderSvg = (cards, sheet, logo) => {
+  const logoHref = logo ? `data:image/png;base64,${logo.buffer.toString('base64')}` : null;
+  const groups = cards.map((card, index) => {
+    const { x, y } = sheet.positions[index];
+    let path = '';
+    for (let row = 0; row < card.size; row++) {
+      for (let col = 0; col < card.size; col++) {
+        if (card.isDark(row, col)) path += `M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+    const fontSize = Math.round(card.labelHeight * 0.6);
+    return [
+      `<g transform="translate(${x} ${y})">`,
+      `<rect width="${card.width}" height="${card.height}" fill="#ffffff"/>`,
+      `<path d="${path}" fill="#000000" transform="scale(${card.moduleSize})" shape-rendering="crispEdges"/>`,
+      card.logoBox && logoHref
+        ? `<image href="${logoHref}" x="${card.logoBox.x}" y="${card.logoBox.y}" width="${card.logoBox.size}" height="${card.logoBox.size}" preserveAspectRatio="xMidYMid meet"/>`
+        : '',
+      card.label
+        ? `<text x="${card.width / 2}" y="${card.qrSize + card.labelHeight / 2}" font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="bold" text-anchor="middle" dominant-baseline="middle">${escapeXml(card.label)}</text>`
+        : '',
+      '</g>',
+    ].join('');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${sheet.width}" height="${sheet.height}" viewBox="0 0 ${sheet.width} ${sheet.height}">`,
+    `<rect width="${sheet.width}" height="${sheet.height}" fill="#ffffff"/>`,
+    ...groups,
+    '</svg>',
+  ].join('\n');
+};
+
+const renderPng = (cards, sheet, logo) => {
+  const png = new PNG({ width: sheet.width, height: sheet.height });
+  png.data.fill(255);
+  const setPixel = (x, y, r, g, b) => {
+    if (x < 0 || y < 0 || x >= png.width || y >= png.height) return;
+    const idx = (png.width * y + x) << 2;
+    png.data[idx] = r;
+    png.data[idx + 1] = g;
+    png.data[idx + 2] = b;
+    png.data[idx + 3] = 255;
+  };
+
+  cards.forEach((card, index) => {
+    const { x, y } = sheet.positions[index];
+    for (let row = 0; row < card.size; row++) {
+      for (let col = 0; col < card.size; col++) {
+        if (!card.isDark(row, col)) continue;
+        const left = x + (col + QUIET_ZONE) * card.moduleSize;
+        const top = y + (row + QUIET_ZONE) * card.moduleSize;
+        for (let dy = 0; dy < card.moduleSize; dy++) {
+          for (let dx = 0; dx < card.moduleSize; dx++) setPixel(left + dx, top + dy, 0, 0, 0);
+        }
+      }
+    }
+
+    // Nearest-neighbour scale of the logo into its box, blended over white
+    if (card.logoBox && logo) {
+      const { image } = logo;
+      const scale = Math.min(card.logoBox.size / image.width, card.logoBox.size / image.height);
+      const drawWidth = Math.max(1, Math.floor(image.width * scale));
+      const drawHeight = Math.max(1, Math.floor(image.height * scale));
+      const left = x + card.logoBox.x + Math.floor((card.logoBox.size - drawWidth) / 2);
+      const top = y + card.logoBox.y + Math.floor((card.logoBox.size - drawHeight) / 2);
+      for (let dy = 0; dy < drawHeight; dy++) {
+        for (let dx = 0; dx < drawWidth; dx++) {
+          const src = (image.width * Math.floor(dy / scale) + Math.floor(dx / scale)) << 2;
+          const alpha = image.data[src + 3] / 255;
+          const blend = channel => Math.round(image.data[src + channel] * alpha + 255 * (1 - alpha));
+          setPixel(left + dx, top + dy, blend(0), blend(1), blend(2));
+        }
+      }
+    }
+
+    if (card.label) {
+      const scale = Math.max(1, Math.floor((card.labelHeight * 0.6) / GLYPH_HEIGHT));
+      const textX = x + Math.max(0, Math.floor((card.width - measureText(card.label, scale)) / 2));
+      const textY = y + card.qrSize + Math.floor((card.labelHeight - GLYPH_HEIGHT * scale) / 2);
+      forEachTextPixel(card.label, textX, textY, scale, (px, py) => {
+        if (px < x + card.width) setPixel(px, py, 0, 0, 0);
+      });
+    }
+  });
+
+  return PNG.sync.write(png);
+};
+
+// Upper bound of a sheet's pixel count before rendering it (codes never exceed `size`)
+const estimateSheetPixels = (count, { size, columns, gap = SHEET_GAP }) => {
+  const columnCount = Math.min(columns, count);
+  const rowCount = Math.ceil(count / columnCount);
+  const width = columnCount * size + (columnCount + 1) * gap;
+  const height = rowCount * (size + Math.round(size * LABEL_SHARE)) + (rowCount + 1) * gap;
+  return width * height;
+};
+
+/**
+ * Render labelled table codes (`{ url, label }`) as one SVG or PNG, laid out in a grid.
+ * A single entry with `columns: 1, gap: 0` gives one code with its label.
+ * Returns `{ contentType, body }`.
+ */
+const renderTableQrCodes = (entries, { format = 'svg', size = 512, columns = 1, gap = SHEET_GAP, logo = null } = {}) => {
+  const cards = entries.map(entry => layoutCard(entry, size, Boolean(logo)));
+  const sheet = layoutSheet(cards, columns, gap);
+  return format === 'png'
+    ? { contentType: 'image/png', body: renderPng(cards, sheet, logo) }
+    : { contentType: 'image/svg+xml', body: renderSvg(cards, sheet, logo) };
+};
+
+module.exports = {
+  QR_FORMATS,
+  MAX_SHEET_TABLES,
+  MAX_SHEET_PIXELS,
+  estimateSheetPixels,
+  buildTableOrderUrl,
+  fetchThemeLogo,
+  renderTableQrCodes,
+};
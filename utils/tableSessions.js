@@ -0,0 +1,78 @@
+// Return the open tab for a table, opening one when this is the first order of
+// the visit. A table merged into another one shares the host table's tab. Must
+// run inside the caller's transaction so concurrent first orders for the same
+// table end up on a single tab.
+const getOrOpenTableSession = async (connection, tableId) => {
+  const [tables] = await connection.query('SELECT merged_into_table_id FROM tables WHERE id = ?', [tableId]);
+  const hostTableId = tables.length > 0 && tables[0].merged_into_table_id ? tables[0].merged_into_table_id : tableId;
+  const [openSessions] = await connection.query(
+    'SELECT id FROM table_sessions WHERE table_id = ? AND status = ? ORDER BY id DESC LIMIT 1 FOR UPDATE',
+    [hostTableId, 'open']
+  );
+  if (openSessions.length > 0) {
+    return { id: openSessions[0].id, opened: false, table_id: hostTableId };
+  }
+  const [result] = await connection.query(
+    'INSERT INTO table_sessions (table_id, status) VALUES (?, ?)',
+    [hostTableId, 'open']
+  );
+  return { id: result.insertId, opened: true, table_id: hostTableId };
+};
+
+// Orders on a tab that count towards its bill (cancelled orders never do)
+const fetchTableSessionOrders = async (executor, tableSessionId) => {
+  const [orders] = await executor.query(
+    'SELECT id, total_price, status, approved, created_at FROM orders WHERE table_session_id = ? ORDER BY created_at ASC',
+    [tableSessionId]
+  );
+  const billable = orders.filter(order => order.status !== 'cancelled');
+  const total = billable.reduce((sum, order) => sum + parseFloat(order.total_price || 0), 0);
+  return { orders, billable, total };
+};
+
+// Make a table and every table merged into it available again, undoing the merge.
+// Resolves to the ids of the tables in that group.
+const freeTableGroup = async (connection, hostTableId) => {
+  const [group] = await connection.query(
+    'SELECT id FROM tables WHERE id = ? OR merged_into_table_id = ? FOR UPDATE',
+    [hostTableId, hostTableId]
+  );
+  await connection.query(
+    "UPDATE tables SET status = IF(status = 'occupied', 'available', status), merged_into_table_id = NULL WHERE id = ? OR merged_into_table_id = ?",
+    [hostTableId, hostTableId]
+  );
+  return group.map(table => table.id);
+};
+
+// Free a table once its last live order is gone, settling the tab if nothing on it is
+// billable. Runs inside the caller's transaction; resolves to the ids of the freed
+// tables (the tab's table and any merged into it), empty when nothing was freed.
+const releaseTableIfIdle = async (connection, tableId, tableSessionId) => {
+  if (!tableId) return [];
+  let hostTableId = tableId;
+  if (tableSessionId) {
+    const { billable } = await fetchTableSessionOrders(connection, tableSessionId);
+    if (billable.length > 0) return [];
+    const [sessions] = await connection.query('SELECT table_id FROM table_sessions WHERE id = ?', [tableSessionId]);
+    if (sessions.length > 0) hostTableId = sessions[0].table_id;
+    await connection.query(
+      'UPDATE table_sessions SET status = ?, total_amount = 0, closed_at = NOW() WHERE id = ? AND status = ?',
+      ['settled', tableSessionId, 'open']
+    );
+  } else {
+    const [liveOrders] = await connection.query(
+      "SELECT id FROM orders WHERE table_id = ? AND status NOT IN ('cancelled', 'delivered') LIMIT 1",
+      [tableId]
+    );
+    if (liveOrders.length > 0) return [];
+  }
+  const freed = await freeTableGroup(connection, hostTableId);
+  return freed.includes(tableId) ? freed : [...freed, tableId];
+};
+
+module.exports = {
+  getOrOpenTableSession,
+  fetchTableSessionOrders,
+  freeTableGroup,
+  releaseTableIfIdle,
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Falls back to the JWT secret so existing deployments keep working without a new variable
+const TABLE_TOKEN_SECRET = process.env.TABLE_TOKEN_SECRET || process.env.JWT_SECRET || 'your_jwt_secret_key';
+
+const signature = (tableId, version) => crypto
+  .createHmac('sha256', TABLE_TOKEN_SECRET)
+  .update(`table:${tableId}:${version}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+// Token printed in a table's QR code: `<table id>.<version>.<signature>`
+const signTableToken = (tableId, version) => `${tableId}.${version}.${signature(tableId, version)}`;
+
+// Check a token's shape and signature; resolves to `{ tableId, version }` or null
+const parseTableToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const match = token.trim().match(/^(\d+)\.(\d+)\.([A-Za-z0-9_-]{22})$/);
+  if (!match) return null;
+  const tableId = parseInt(match[1], 10);
+  const version = parseInt(match[2], 10);
+  const expected = Buffer.from(signature(tableId, version));
+  const provided = Buffer.from(match[3]);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+  return { tableId, version };
+};
+
+/**
+ * Resolve the table a guest scanned. Tokens from an older version (regenerated QR)
+ * or of a revoked table are refused.
+ * Resolves to the table row, or `{ status, error }`.
+ */
+const resolveTableToken = async (executor, token) => {
+  const parsed = parseTableToken(token);
+  if (!parsed) {
+    return { status: 400, error: 'Invalid table QR code' };
+  }
+  const [rows] = await executor.query(
+    'SELECT id, table_number, status, qr_token_version, qr_token_revoked_at FROM tables WHERE id = ?',
+    [parsed.tableId]
+  );
+  if (rows.length === 0) {
+    return { status: 400, error: 'Table does not exist' };
+  }
+  const table = rows[0];
+  if (table.qr_token_revoked_at || table.qr_token_version !== parsed.version) {
+    return { status: 403, error: 'This table QR code is no longer valid; please ask staff for help' };
+  }
+  return { table };
+};
+
+module.exports = {
+  signTableToken,
+  parseTableToken,
+  resolveTableToken,
+};